@@ -15,20 +15,104 @@ currentPage = 2;
 isLoading = true;
 
 // 2. Declare Variables at the Top
-function processOrder() {
+// Orders move pending → paid → shipped → delivered; cancel and refund
+// are only allowed from the states listed here
+const ORDER_TRANSITIONS = {
+  pending: { pay: "paid", cancel: "cancelled" },
+  paid: { ship: "shipped", cancel: "cancelled", refund: "refunded" },
+  shipped: { deliver: "delivered" },
+  delivered: { refund: "refunded" },
+  cancelled: {},
+  refunded: {}
+};
+
+const REFUND_WINDOW_DAYS = 30;
+
+// Guards return an error message, or null when the transition may happen
+const ORDER_GUARDS = {
+  pay: (order, details) =>
+    money(details.amount || 0, order.currency).minor === money(order.totals.total, order.currency).minor
+      ? null
+      : `Payment of ${details.amount} does not match order total ${order.totals.total}`,
+  ship: (order, details) => (details.trackingNumber ? null : "A tracking number is required to ship"),
+  refund: (order, details, now) => {
+    const delivered = order.history.find(entry => entry.status === "delivered");
+    if (!delivered) return null;
+    const days = (now - new Date(delivered.at)) / (24 * 60 * 60 * 1000);
+    return days <= REFUND_WINDOW_DAYS ? null : `Refund window of ${REFUND_WINDOW_DAYS} days has passed`;
+  }
+};
+
+const { randomUUID } = require("crypto");
+const orderListeners = [];
+
+// "ORD-20240301-9F86D081884C": date + random suffix, so IDs stay unique
+// across restarts and across servers (a per-run counter would repeat)
+function generateOrderID(now = new Date()) {
+  const day = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const suffix = randomUUID().replace(/-/g, "").slice(0, 12).toUpperCase();
+  return `ORD-${day}-${suffix}`;
+}
+
+// listener({ order, action, from, to, at }) runs after every transition
+function onOrderTransition(listener) {
+  orderListeners.push(listener);
+  return function unsubscribe() {
+    const index = orderListeners.indexOf(listener);
+    if (index > -1) orderListeners.splice(index, 1);
+  };
+}
+
+// orderID can be passed in when the caller already has one (e.g. from its database)
+function processOrder(items, customer, { currency = "USD", region, now = new Date(), orderID: givenOrderID } = {}) {
   // declare variables at the top of the function
   let orderID;
   let orderStatus;
-  let totalAmount;
-  let taxRate;
-  let customerInfo;
+  let totals;
+  let lines;
   
   // function logic here
-  orderID = generateOrderID();
-  orderStatus = "Processing";
-  totalAmount = calculateOrderTotal(items);
-  taxRate = 0.08;
-  customerInfo = getUserInfo();
+  orderID = givenOrderID ?? generateOrderID(now);
+  orderStatus = "pending";
+  totals = calculateTotal(items, { currency, region });
+  
+  // Snapshot the prices now: later catalog changes must not change the order
+  lines = items.map(item => Object.freeze({
+    name: item.name,
+    unitPrice: toDecimal(money(item.price, currency)),
+    quantity: item.quantity,
+    lineTotal: toDecimal(multiplyMoney(money(item.price, currency), item.quantity))
+  }));
+  
+  return Object.freeze({
+    id: orderID,
+    status: orderStatus,
+    customer: Object.freeze({ ...customer }),
+    currency,
+    lines: Object.freeze(lines),
+    totals: Object.freeze(totals),
+    history: Object.freeze([Object.freeze({ status: orderStatus, action: "create", at: now.toISOString() })])
+  });
+}
+
+// Returns a new order; the old one is never modified
+function transitionOrder(order, action, details = {}, now = new Date()) {
+  const to = ORDER_TRANSITIONS[order.status][action];
+  if (!to) {
+    throw new Error(`Cannot ${action} an order that is ${order.status}`);
+  }
+  
+  const guard = ORDER_GUARDS[action];
+  const reason = guard ? guard(order, details, now) : null;
+  if (reason) {
+    throw new Error(`Cannot ${action} order ${order.id}: ${reason}`);
+  }
+  
+  const entry = Object.freeze({ status: to, action, at: now.toISOString(), details: Object.freeze({ ...details }) });
+  const next = Object.freeze({ ...order, status: to, history: Object.freeze([...order.history, entry]) });
+  
+  orderListeners.forEach(listener => listener({ order: next, action, from: order.status, to, at: entry.at }));
+  return next;
 }
 
 // 3. Use Descriptive Names
@@ -86,44 +170,101 @@ logout({ name: "John Doe", email: "john@example.com" });
 addToCart({ name: "T-Shirt", price: 19.99, quantity: 2 });
 
 // 3. Calculations and Processing
-function calculateTotal(items) {
-  const TAX_RATE = 0.08;
-  const SHIPPING_COST = 10;
-  const FREE_SHIPPING_THRESHOLD = 100;
+
+// Money is kept as integer minor units with a currency code; floats would drift
+// (0.1 + 0.2 !== 0.3), so each multiplication rounds exactly once ("halfUp" or "halfEven")
+const { money, addMoney, multiplyMoney, toDecimal } = require("../shared/money");
+
+// Tax comes from the same module as the shopping cart lesson:
+// region = { country, state }, omitted → flat 8%
+const { calculateTax } = require("../shared/tax");
+
+function calculateTotal(items, { currency = "USD", region, rounding = "halfUp" } = {}) {
+  const SHIPPING_COST = money(10, currency);
+  const FREE_SHIPPING_THRESHOLD = money(100, currency);
   
-  let subtotal = 0;
-  let tax = 0;
-  let shipping = 0;
-  let total = 0;
+  let subtotal = money(0, currency);
+  let taxResult;
+  let shipping;
+  let total;
+  const lines = [];
   
-  // calculate subtotal
+  // calculate subtotal line by line
   for (let item of items) {
-    subtotal += item.price * item.quantity;
+    const lineTotal = multiplyMoney(money(item.price, currency, rounding), item.quantity);
+    subtotal = addMoney(subtotal, lineTotal);
+    lines.push({ name: item.name, category: item.category, amount: lineTotal });
   }
   
-  // calculate tax
-  tax = subtotal * TAX_RATE;
+  // calculate tax (exemptions, inclusive prices and compound taxes per region)
+  taxResult = calculateTax(lines, region, { currency, rounding });
   
   // calculate shipping
-  shipping = subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_COST;
+  shipping = subtotal.minor >= FREE_SHIPPING_THRESHOLD.minor ? money(0, currency) : SHIPPING_COST;
   
-  // calculate total
-  total = subtotal + tax + shipping;
+  // calculate total (inclusive prices already contain the tax)
+  total = taxResult.pricesIncludeTax
+    ? addMoney(subtotal, shipping)
+    : addMoney(addMoney(subtotal, taxResult.tax), shipping);
   
   return {
-    subtotal,
-    tax,
-    shipping,
-    total
+    subtotal: toDecimal(subtotal),
+    tax: toDecimal(taxResult.tax),
+    taxIncluded: taxResult.pricesIncludeTax,
+    taxLines: taxResult.lines.map(line => ({ name: line.name, net: toDecimal(line.net), tax: toDecimal(line.tax), gross: toDecimal(line.gross) })),
+    shipping: toDecimal(shipping),
+    total: toDecimal(total),
+    currency
   };
 }
 
 // call function
 const orderTotal = calculateTotal([{ name: "T-Shirt", price: 19.99, quantity: 2 }]);
 
-console.log(orderTotal)
+console.log(orderTotal) // { subtotal: 39.98, tax: 3.2, taxIncluded: false, taxLines: [...], shipping: 10, total: 53.18, currency: "USD" }
 console.log(`Order Total: $${orderTotal.total}`);
 
+const caOrder = calculateTotal([
+  { name: "Apples", price: 4.5, quantity: 2, category: "groceries" },
+  { name: "T-Shirt", price: 19.99, quantity: 2, category: "clothing" }
+], { region: { country: "US", state: "CA" } });
+console.log(caOrder.taxLines);
+// [{ name: "Apples", net: 9, tax: 0, gross: 9 }, { name: "T-Shirt", net: 39.98, tax: 2.9, gross: 42.88 }]
+
+const deOrder = calculateTotal([{ name: "Book", price: 21.4, quantity: 1, category: "books" }], { region: { country: "DE" }, currency: "EUR" });
+console.log(deOrder.taxIncluded, deOrder.tax, deOrder.total); // true 1.4 31.4 (7% already in the price, plus shipping)
+
+
+// order lifecycle
+const stopLogging = onOrderTransition(({ order, from, to }) => console.log(`${order.id}: ${from} → ${to}`));
+
+let order = processOrder(
+  [{ name: "T-Shirt", price: 19.99, quantity: 2 }],
+  { id: userID, name: userName, email: userEmail },
+  { now: new Date("2024-03-01T09:00:00Z"), orderID: "ORD-20240301-0001" }
+);
+console.log(order.id, order.status, order.totals.total); // ORD-20240301-0001 pending 53.18
+console.log(/^ORD-20240301-[0-9A-F]{12}$/.test(generateOrderID(new Date("2024-03-01T09:00:00Z")))); // true
+
+try {
+  transitionOrder(order, "ship", { trackingNumber: "1Z999" });
+} catch (error) {
+  console.log(error.message); // "Cannot ship an order that is pending"
+}
+
+order = transitionOrder(order, "pay", { amount: 53.18 }, new Date("2024-03-01T09:05:00Z"));      // ORD-20240301-0001: pending → paid
+order = transitionOrder(order, "ship", { trackingNumber: "1Z999" }, new Date("2024-03-02T14:00:00Z")); // ORD-20240301-0001: paid → shipped
+order = transitionOrder(order, "deliver", {}, new Date("2024-03-04T11:30:00Z"));              // ORD-20240301-0001: shipped → delivered
+stopLogging();
+
+try {
+  transitionOrder(order, "refund", {}, new Date("2024-05-01T00:00:00Z"));
+} catch (error) {
+  console.log(error.message); // "Cannot refund order ORD-20240301-0001: Refund window of 30 days has passed"
+}
+
+console.log(order.history.map(entry => `${entry.at} ${entry.status}`));
+// ["2024-03-01T09:00:00.000Z pending", "2024-03-01T09:05:00.000Z paid", "2024-03-02T14:00:00.000Z shipped", "2024-03-04T11:30:00.000Z delivered"]
 
 // Debugging Variables
 // Using console.log
@@ -37,27 +37,36 @@ let userData = {
     lastLoginDate: undefined
 };
 
+let { createError, createResult } = require("../shared/validation-errors");
+let { isEmail } = require("../shared/guards");
+
 // Type checking and validation
 function validateUser(user) {
     let errors = [];
     
     if (typeof user.firstName !== "string" || user.firstName.length === 0) {
-        errors.push("First name is required");
+        errors.push(createError("firstName", "required"));
     }
     
     if (typeof user.age !== "number" || user.age < 13) {
-        errors.push("Age must be a number and at least 13");
+        errors.push(createError("age", "min", { min: 13 }));
     }
     
-    if (typeof user.email !== "string" || !user.email.includes("@")) {
-        errors.push("Valid email is required");
+    if (!isEmail(user.email)) {
+        errors.push(createError("email", "email"));
     }
     
-    return errors;
+    return createResult(errors, user);
 }
 
-let validationErrors = validateUser(userData);
-console.log("Validation errors:", validationErrors);
+let validationResult = validateUser(userData);
+console.log("Validation result:", validationResult); // { isValid: true, errors: [], data: {...} }
+
+console.log(validateUser({ ...userData, age: "28", email: "alice" }).errors);
+// [
+//   { path: "age", code: "min", message: "age must be a number and at least 13", params: { min: 13 } },
+//   { path: "email", code: "email", message: "email must be a valid email", params: {} }
+// ]
 
 // Output user data
 console.log("User Data:", userData);
@@ -91,6 +100,7 @@ let shoppingCart = {
     ],
 
     // configuration
+    currency: "USD",
     taxRate: 0.08,
     shippingCost: 15.00,
     freeShippingThreshold: 500.00,
@@ -100,35 +110,49 @@ let shoppingCart = {
     isGuestCheckout: false,
 };
 
+// Money: integer minor units plus a currency code (JPY has 0 decimals, USD 2)
+// Rates are applied exactly and rounded once, "halfUp" or "halfEven" (banker's)
+let { money, addMoney, multiplyMoney, toDecimal } = require("../shared/money");
+
 // Function to calculate total cost
-function calculateTotal(cart) {
-    let subtotal = 0;
+function calculateTotal(cart, { rounding = "halfUp" } = {}) {
+    let currency = cart.currency;
+    let subtotal = money(0, currency);
     let availableItems = 0;
 
     // calculate subtotal
     for (let item of cart.items) {
         if (item.inStock) {
-            subtotal += item.price * item.quantity;
+            subtotal = addMoney(subtotal, multiplyMoney(money(item.price, currency, rounding), item.quantity));
             availableItems += item.quantity;
         }
     }
 
     // calculate tax
-    let tax = subtotal * cart.taxRate;
+    let tax = multiplyMoney(subtotal, cart.taxRate, rounding);
 
     // calculate shipping
-    let shipping = subtotal >= cart.freeShippingThreshold ? 0 : cart.shippingCost;
+    let shipping = subtotal.minor >= money(cart.freeShippingThreshold, currency).minor
+        ? money(0, currency)
+        : money(cart.shippingCost, currency);
 
     // total cost
-    let total = subtotal + tax + shipping;
+    let total = addMoney(addMoney(subtotal, tax), shipping);
 
     return {
-        subtotal: Number(subtotal.toFixed(2)),
-        tax: Number(tax.toFixed(2)),
-        shipping: Number(shipping.toFixed(2)),
-        total: Number(total.toFixed(2)),
+        subtotal: toDecimal(subtotal),
+        tax: toDecimal(tax),
+        shipping: toDecimal(shipping),
+        total: toDecimal(total),
+        currency,
         availableItems
     };
 }
 let orderSummary = calculateTotal(shoppingCart);
-console.log("Order Summary:", orderSummary);
\ No newline at end of file
+console.log("Order Summary:", orderSummary);
+// { subtotal: 1399.97, tax: 112, shipping: 0, total: 1511.97, currency: "USD", availableItems: 3 }
+
+// Yen have no minor unit, so 10% of ¥105 has to round to a whole yen
+let yenCart = { items: [{ price: 105, quantity: 1, inStock: true }], currency: "JPY", taxRate: 0.1, shippingCost: 500, freeShippingThreshold: 5000 };
+console.log(calculateTotal(yenCart).tax);                           // 11 (half-up)
+console.log(calculateTotal(yenCart, { rounding: "halfEven" }).tax); // 10 (banker's)
@@ -15,36 +15,188 @@ console.log(identifyType("hello"));      // "string"
 console.log(identifyType([]));           // "array"
 console.log(identifyType(null));         // "null"
 
+// Precise type detection
+// util.types checks the internal slots ("brands") of built-ins, so unlike
+// instanceof it also works for values created in another realm (iframe, vm
+// context), and unlike Object.prototype.toString it can't be fooled by an
+// object that sets Symbol.toStringTag
+let { types } = require("util");
+
+// The typed-array tag getter only works on real typed arrays: "Uint8Array", ...
+let typedArrayTag = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Uint8Array.prototype), Symbol.toStringTag).get;
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (typeof value !== "object") return typeof value;
+    
+    if (Array.isArray(value)) return "array";
+    if (types.isDate(value)) return isNaN(Date.prototype.getTime.call(value)) ? "invalid date" : "date";
+    if (types.isRegExp(value)) return "regexp";
+    if (types.isMap(value)) return "map";
+    if (types.isSet(value)) return "set";
+    if (types.isWeakMap(value)) return "weakmap";
+    if (types.isWeakSet(value)) return "weakset";
+    if (types.isArrayBuffer(value)) return "arraybuffer";
+    if (types.isDataView(value)) return "dataview";
+    if (types.isTypedArray(value)) return typedArrayTag.call(value).toLowerCase(); // "uint8array", "float64array", ...
+    if (types.isPromise(value)) return "promise";
+    if (types.isNativeError(value)) return "error";
+    if (types.isStringObject(value)) return "boxed string";   // new String("x")
+    if (types.isNumberObject(value)) return "boxed number";
+    if (types.isBooleanObject(value)) return "boxed boolean";
+    if (types.isBigIntObject(value)) return "boxed bigint";   // Object(1n)
+    if (types.isSymbolObject(value)) return "boxed symbol";
+    
+    let proto = Object.getPrototypeOf(value);
+    if (proto === null) return "null-prototype object";
+    
+    // A plain object's prototype is that realm's Object.prototype,
+    // which itself has no prototype
+    if (Object.getPrototypeOf(proto) === null) return "object";
+    
+    // Class instance: report the constructor name ("User"),
+    // and only fall back to the (spoofable) tag when there is none
+    let constructor = proto.constructor;
+    if (typeof constructor === "function" && constructor.name) return constructor.name;
+    return Object.prototype.toString.call(value).slice(8, -1).toLowerCase();
+}
+
+// Short human-readable summary for debug logs
+function describe(value) {
+    let type = typeOf(value);
+    let keys = obj => {
+        let names = Object.keys(obj);
+        return `{${names.slice(0, 3).join(", ")}${names.length > 3 ? ", …" : ""}}`;
+    };
+    
+    switch (type) {
+        case "string":
+            return `string(${value.length}) "${value.length > 20 ? value.slice(0, 20) + "…" : value}"`;
+        case "number":
+        case "boolean":
+        case "symbol":
+            return `${type} ${String(value)}`;
+        case "bigint":
+            return `bigint ${value}n`;
+        case "undefined":
+        case "null":
+        case "invalid date":
+        case "promise":
+            return type;
+        case "function":
+            return `function ${value.name || "(anonymous)"}`;
+        case "array":
+            return `array(${value.length})`;
+        case "date":
+            return `date ${value.toISOString()}`;
+        case "regexp":
+            return `regexp ${String(value)}`;
+        case "map":
+        case "set":
+            return `${type}(${value.size})`;
+        case "weakmap":
+        case "weakset":
+            return type;
+        case "arraybuffer":
+            return `arraybuffer(${value.byteLength} bytes)`;
+        case "error":
+            return `error ${value.name}: ${value.message}`;
+        case "object":
+        case "null-prototype object":
+            return `${type} ${keys(value)}`;
+    }
+    
+    if (type.startsWith("boxed")) return `${type} ${String(value.valueOf())}`;
+    if (ArrayBuffer.isView(value)) return `${type}(${value.length !== undefined ? value.length : value.byteLength})`;
+    return `${type} ${keys(value)}`; // Class instance
+}
+
+class User {
+    constructor(name, email) {
+        this.name = name;
+        this.email = email;
+    }
+}
+
+let samples = [
+    new Date("2024-01-01"),
+    new Date("not a date"),
+    /ab+c/gi,
+    new Map([["a", 1]]),
+    new Set([1, 2, 3]),
+    new WeakMap(),
+    new Uint8Array(4),
+    new ArrayBuffer(8),
+    Promise.resolve(1),
+    new TypeError("bad input"),
+    new String("boxed"),
+    new User("Alice", "alice@example.com"),
+    { a: 1, b: 2, c: 3, d: 4 },
+    Object.create(null)
+];
+
+for (let sample of samples) {
+    console.log(typeOf(sample).padEnd(22), describe(sample));
+}
+// date                   date 2024-01-01T00:00:00.000Z
+// invalid date           invalid date
+// regexp                 regexp /ab+c/gi
+// map                    map(1)
+// set                    set(3)
+// weakmap                weakmap
+// uint8array             uint8array(4)
+// arraybuffer            arraybuffer(8 bytes)
+// promise                promise
+// error                  error TypeError: bad input
+// boxed string           boxed string boxed
+// User                   User {name, email}
+// object                 object {a, b, c, …}
+// null-prototype object  null-prototype object {}
+
+// Values from another realm are still recognised
+let vm = require("vm");
+let foreign = vm.runInNewContext("[new Date(0), [1, 2], new Map(), { plain: true }]");
+console.log(foreign[1] instanceof Array);    // false (different Array constructor)
+console.log(foreign.map(typeOf));            // ["date", "array", "map", "object"]
+
+// A fake Symbol.toStringTag doesn't make an object a Date or a Map
+let fakeDate = { [Symbol.toStringTag]: "Date" };
+let fakeMap = { [Symbol.toStringTag]: "Map" };
+console.log(Object.prototype.toString.call(fakeDate)); // "[object Date]"
+console.log(typeOf(fakeDate), typeOf(fakeMap));        // "object" "object"
+console.log(describe(fakeMap));                        // "object {}"
+
 // Exercise 2: Data validation
+let { createError, createResult } = require("../shared/validation-errors");
+
 function validateProduct(product) {
-    let isValid = true;
     let errors = [];
     
     // Check required string fields
     if (typeof product.name !== "string" || product.name.trim() === "") {
-        errors.push("Product name is required");
-        isValid = false;
+        errors.push(createError("name", "required"));
     }
     
     // Check price is a positive number
     if (typeof product.price !== "number" || product.price <= 0) {
-        errors.push("Price must be a positive number");
-        isValid = false;
+        errors.push(createError("price", "positive"));
     }
     
     // Check quantity is a non-negative integer
     if (!Number.isInteger(product.quantity) || product.quantity < 0) {
-        errors.push("Quantity must be a non-negative integer");
-        isValid = false;
+        errors.push(createError("quantity", "integer", { min: 0 }));
     }
     
-    // Check boolean fields
-    if (typeof product.inStock !== "boolean") {
-        errors.push("inStock must be a boolean");
-        isValid = false;
+    // inStock is derived from quantity; if it is sent it has to agree
+    if (product.inStock !== undefined) {
+        if (typeof product.inStock !== "boolean") {
+            errors.push(createError("inStock", "type", { expected: "boolean" }));
+        } else if (Number.isInteger(product.quantity) && product.inStock !== product.quantity > 0) {
+            errors.push(createError("inStock", "derived", { source: "quantity" }));
+        }
     }
     
-    return { isValid, errors };
+    return createResult(errors, product);
 }
 
 // Test the validation
@@ -62,28 +214,108 @@ let product2 = {
     inStock: "yes"
 };
 
-console.log(validateProduct(product1)); // { isValid: true, errors: [] }
-console.log(validateProduct(product2)); // { isValid: false, errors: [...] }
+console.log(validateProduct(product1)); // { isValid: true, errors: [], data: {...} }
+console.log(validateProduct(product2)); // { isValid: false, errors: [...], data: {...} }
+// errors[3] → { path: "inStock", code: "type", message: "inStock must be a boolean", params: { expected: "boolean" } }
+console.log(validateProduct({ name: "Mouse", price: 25, quantity: 0, inStock: true }).errors[0].message);
+// "inStock does not match quantity"
 
 // Exercise 3: Type conversion utility
-function convertToType(value, targetType) {
-    switch (targetType.toLowerCase()) {
-        case "string":
-            return String(value);
-        case "number":
-            let num = Number(value);
-            return isNaN(num) ? 0 : num;
-        case "boolean":
-            return Boolean(value);
-        case "array":
-            return Array.isArray(value) ? value : [value];
-        default:
-            return value;
-    }
-}
+// Conversions live in a registry so new types can be plugged in
+// (the same registry the type-conversion exercises use)
+let { registerType, enumOf, convert: convertToType } = require("../shared/type-registry");
 
 // Test conversions
 console.log(convertToType(123, "string"));    // "123"
 console.log(convertToType("456", "number"));  // 456
-console.log(convertToType("hello", "boolean")); // true
+console.log(convertToType("yes", "boolean"));   // true
 console.log(convertToType("world", "array"));   // ["world"]
+console.log(convertToType("12345678901234567890", "bigint")); // 12345678901234567890n
+console.log(convertToType("S", enumOf("S", "M", "L")));       // "S"
+
+registerType("size", enumOf("S", "M", "L"));
+console.log(convertToType(" M ", "size"));     // "M"
+
+for (let [value, type] of [["hello", "symbol"], ["hello", "boolean"], ["", "integer"], [[], "integer"]]) {
+    try {
+        convertToType(value, type);
+    } catch (error) {
+        console.log(error.message);
+    }
+}
+// Unknown target type "symbol"
+// Cannot convert "hello" to boolean
+// Cannot convert "" to integer: value is empty
+// Cannot convert [] to integer
+
+// Exercise 4: Inventory tracking
+// Stock per SKU changes over time: carts reserve units, reservations expire,
+// checkout commits them. inStock is always computed, never stored.
+let { createInventory } = require("../shared/inventory");
+
+// Test the inventory with a fake clock so expiry is predictable
+let fakeNow = 0;
+let inventory = createInventory({ lowStockThreshold: 3, reservationTtlMs: 60000, clock: () => fakeNow });
+
+inventory.on("lowStock", event => console.log("Low stock:", event));
+inventory.on("outOfStock", event => console.log("Out of stock:", event));
+inventory.on("reservationExpired", event => console.log("Expired:", event.cartId, event.sku, event.quantity));
+
+inventory.receive("LAPTOP-15", 5);
+inventory.reserve("cart-a", "LAPTOP-15", 2);   // Low stock: { sku: "LAPTOP-15", available: 3 }
+inventory.reserve("cart-b", "LAPTOP-15", 3);   // Out of stock: { sku: "LAPTOP-15" }
+console.log(inventory.getItem("LAPTOP-15"));
+// { sku: "LAPTOP-15", onHand: 5, reserved: 5, available: 0, inStock: false }
+
+try {
+    inventory.reserve("cart-c", "LAPTOP-15", 1);
+} catch (error) {
+    console.log(error.message); // "Cannot reserve 1 of LAPTOP-15: only 0 available"
+}
+
+fakeNow = 30000;
+console.log(inventory.commit("cart-a"));       // [{ sku: "LAPTOP-15", quantity: 2 }]
+
+fakeNow = 61000;                               // cart-b never checked out
+console.log(inventory.getItem("LAPTOP-15"));   // Expired: cart-b LAPTOP-15 3
+// { sku: "LAPTOP-15", onHand: 3, reserved: 0, available: 3, inStock: true }
+
+// A product record built from the inventory always passes validation
+let laptopStock = inventory.getItem("LAPTOP-15");
+console.log(validateProduct({ name: "Laptop", price: 999.99, quantity: laptopStock.available, inStock: laptopStock.inStock }).isValid); // true
+
+// The cart reserves stock as items are added and commits it on checkout
+let { createCart } = require("../shared/cart");
+let storeInventory = createInventory({ lowStockThreshold: 2, reservationTtlMs: 60000, clock: () => fakeNow });
+storeInventory.receive("MOUSE-01", 4);
+storeInventory.on("outOfStock", event => console.log("Out of stock:", event.sku));
+
+let aliceCart = createCart([{ id: "MOUSE-01", name: "mouse", price: 25, maxPerOrder: 5 }], { inventory: storeInventory, cartId: "alice" });
+let bobCart = createCart([{ id: "MOUSE-01", name: "mouse", price: 25, maxPerOrder: 5 }], { inventory: storeInventory, cartId: "bob" });
+
+aliceCart.add("MOUSE-01", 3);
+console.log(storeInventory.getItem("MOUSE-01").available); // 1
+try {
+    bobCart.add("MOUSE-01", 2);                             // Alice's mice are held for her
+} catch (error) {
+    console.log(error.message); // "Cannot reserve 2 of MOUSE-01: only 1 available"
+}
+aliceCart.setQuantity("MOUSE-01", 2);                       // Gives one back
+bobCart.add("MOUSE-01", 2);                                 // Out of stock: MOUSE-01
+console.log(storeInventory.getItem("MOUSE-01"));
+// { sku: "MOUSE-01", onHand: 4, reserved: 4, available: 0, inStock: false }
+
+console.log(aliceCart.checkout());                          // [{ sku: "MOUSE-01", quantity: 2 }]
+console.log(storeInventory.getItem("MOUSE-01").onHand);     // 2
+
+// Carts created without a cartId each get their own id
+let keyboardInventory = createInventory({ clock: () => fakeNow });
+keyboardInventory.receive("KEYB-01", 10);
+let keyboardCatalog = [{ id: "KEYB-01", name: "keyboard", price: 40 }];
+let firstCart = createCart(keyboardCatalog, { inventory: keyboardInventory });
+let secondCart = createCart(keyboardCatalog, { inventory: keyboardInventory });
+firstCart.add("KEYB-01", 2);
+secondCart.add("KEYB-01", 3);
+console.log(firstCart.checkout());                          // [{ sku: "KEYB-01", quantity: 2 }]
+console.log(secondCart.checkout());                         // [{ sku: "KEYB-01", quantity: 3 }]
+console.log(keyboardInventory.getItem("KEYB-01").onHand);   // 5
@@ -1,6 +1,8 @@
 // 1. Be Explicit
 // Always check values explicitly rather than relying on implicit truthy/falsy behavior.
 // Example:
+let userAge = 0; // a valid age that happens to be falsy
+
 if (userAge) {
     // Bad: if userAge is 0, this block will not run because 0 is falsy
 }
@@ -15,17 +17,61 @@ let age = userAge ?? 0; // if userAge is null or undefined, use 0
 
 // 2. Validate After Conversion
 // Always convert input to the expected type first, then validate it
-function processAge(input) {
+
+// Error classes let callers react with instanceof instead of reading messages
+// Each failure carries the same fields as a structured error: path, code, params
+class ValidationError extends Error {
+    constructor(path, code, message, params = {}) {
+        super(message);
+        this.name = "ValidationError";
+        this.path = path;
+        this.code = code;
+        this.params = params;
+    }
+    
+    toJSON() {
+        return { path: this.path, code: this.code, message: this.message, params: this.params };
+    }
+}
+
+// The input could not be turned into the target type at all
+class ConversionError extends ValidationError {
+    constructor(path, value, targetType) {
+        super(path, "conversion", `${path} must be a ${targetType}`, { value, targetType });
+        this.name = "ConversionError";
+    }
+}
+
+// Several failures reported together
+class AggregateValidationError extends Error {
+    constructor(errors) {
+        super(`${errors.length} validation error${errors.length === 1 ? "" : "s"}`);
+        this.name = "AggregateValidationError";
+        this.errors = errors;
+        this.statusCode = 422;
+    }
+    
+    // Ready to send as an HTTP 422 Unprocessable Entity body
+    toJSON() {
+        return {
+            type: "validation_error",
+            message: this.message,
+            errors: this.errors.map(error => error.toJSON())
+        };
+    }
+}
+
+function processAge(input, path = "age") {
     let age = Number(input); // convert input to number
     
     // Check if conversion failed
-    if (isNaN(age)) {
-        throw new Error("Age must be a number");
+    if (input === null || input === undefined || input === "" || isNaN(age)) {
+        throw new ConversionError(path, input, "number");
     }
     
     // Validate age range
     if (age < 0 || age > 150) {
-        throw new Error("Age must be between 0 and 150");
+        throw new ValidationError(path, "range", `${path} must be between 0 and 150`, { min: 0, max: 150 });
     }
     
     return age; // safe to use
@@ -43,28 +89,90 @@ function isNumber(value) {
     return typeof value === "number" && !isNaN(value) && isFinite(value);
 }
 
-function isValidEmail(value) {
-    // Simple email validation: must be string, contain '@', and have some length
-    return isString(value) && value.includes("@") && value.length > 3;
-}
+// Guard library (shared/guards.js)
+// Every guard is a plain predicate (guard(value) → boolean) that also has
+// guard.check(value) → null when valid, or { path, guard, message } saying
+// which guard rejected the value. Combinators build bigger guards from small ones.
+// isEmail replaces the old isValidEmail (value.includes("@")); the validators
+// in the other lessons use it too, so there is one email rule.
+let {
+    isNonEmptyString, isEmail, isUrl, isUuid, isIsoDate, isE164Phone, integerInRange,
+    and, or, not, optional, arrayOf, shape
+} = require("../shared/guards");
+
+// Usage
+console.log(isEmail("alice@example.com"));          // true
+console.log(isEmail("alice@"));                     // false
+console.log(isUuid("3f2504e0-4f89-41d3-9a0c-0305e82c3301")); // true
+console.log(isIsoDate("2024-02-30"));               // false
+console.log(isE164Phone("+14155552671"));           // true
+console.log(integerInRange(13, 120)(25));           // true
+
+let contactGuard = shape({
+    name: isNonEmptyString,
+    age: integerInRange(13, 120),
+    email: isEmail,
+    phone: optional(isE164Phone),
+    website: optional(isUrl),
+    nickname: optional(and(isNonEmptyString, not(isEmail))), // Don't leak emails as display names
+    tags: arrayOf(isNonEmptyString),
+    id: or(isUuid, integerInRange(1, Number.MAX_SAFE_INTEGER))
+});
+
+let contact = {
+    name: "Alice",
+    age: 30,
+    email: "alice@example.com",
+    website: "https://alice.dev",
+    nickname: "ally",
+    tags: ["vip", " "],
+    id: 42
+};
+
+console.log(contactGuard(contact));                 // false
+console.log(contactGuard.check(contact));
+// { path: "tags[1]", guard: "nonEmptyString", message: "tags[1] must be a non-empty string" }
+
+console.log(contactGuard.check({ ...contact, tags: [], id: "abc" }).message);
+// "id must be a UUID or id must be an integer between 1 and 9007199254740991"
+
+console.log(contactGuard.check({ ...contact, tags: [], nickname: "ally@example.com" }).guard);
+// "not(email)"
 
 // 4. Process User Data
-// Validate each property before using it
+// Validate every property and report all failures at once
 function processUser(userData) {
-    if (!isString(userData.name)) {
-        throw new Error("Name must be a string");
+    let errors = [];
+    let user = { ...userData };
+    
+    // Conversion errors are collected like any other failure
+    try {
+        user.age = processAge(userData.age);
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push(error);
     }
     
-    if (!isNumber(userData.age)) {
-        throw new Error("Age must be a valid number");
+    let fieldGuards = {
+        name: isNonEmptyString,
+        email: isEmail,
+        phone: optional(isE164Phone)
+    };
+    
+    for (let [field, guard] of Object.entries(fieldGuards)) {
+        let failure = guard.check(userData[field], field);
+        if (failure) {
+            errors.push(new ValidationError(failure.path, failure.guard, failure.message));
+        }
     }
     
-    if (!isValidEmail(userData.email)) {
-        throw new Error("Email must be valid");
+    if (errors.length > 0) {
+        throw new AggregateValidationError(errors);
     }
     
-    // Now userData is safe to process
-    console.log("User is valid:", userData);
+    // Now user is safe to process
+    console.log("User is valid:", user);
+    return user;
 }
 
 // Example Usage
@@ -74,10 +182,29 @@ let userInput = {
     email: "alice@example.com"
 };
 
-// Convert age safely and process user
+processUser(userInput);
+// User is valid: { name: "Alice", age: 25, email: "alice@example.com" }
+
+// Every problem is reported, not just the first one
 try {
-    userInput.age = processAge(userInput.age); // convert and validate
-    processUser(userInput); // validate entire object
+    processUser({ name: "", age: "old", email: "alice@", phone: "555-1234" });
 } catch (error) {
-    console.error(error.message);
+    if (error instanceof AggregateValidationError) {
+        console.log(error.statusCode);                               // 422
+        console.log(error.errors[0] instanceof ConversionError);     // true
+        console.log(error.errors[0] instanceof ValidationError);     // true
+        console.log(JSON.stringify(error, null, 2));
+        // {
+        //   "type": "validation_error",
+        //   "message": "4 validation errors",
+        //   "errors": [
+        //     { "path": "age", "code": "conversion", "message": "age must be a number", "params": { "value": "old", "targetType": "number" } },
+        //     { "path": "name", "code": "nonEmptyString", "message": "name must be a non-empty string", "params": {} },
+        //     { "path": "email", "code": "email", "message": "email must be a valid email address", "params": {} },
+        //     { "path": "phone", "code": "e164Phone", "message": "phone must be an E.164 phone number", "params": {} }
+        //   ]
+        // }
+    } else {
+        throw error;
+    }
 }
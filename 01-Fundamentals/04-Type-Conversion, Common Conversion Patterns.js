@@ -34,18 +34,140 @@ let apiResponse = {
     tags: "electronics,laptop,computer"
 };
 
-// convert API response to appropriate types
-function processApiResponse(data) {
-    return {
-        id: parseInt(data.id, 10),
-        timestamp: new Date(data.timestamp),
-        price: parseFloat(data.price),
-        inStock: Boolean(data.inStock),
-        tags: data.tags.split(",")
+// Declarative mapping: describe each field once, use it in both directions
+// { source: "api.path", target: "domain.path", type: "converter", default }
+
+// Each converter knows how to parse API values and serialize them back
+let fieldConverters = {
+    string: { parse: value => String(value), serialize: value => String(value) },
+    integer: { parse: value => parseInt(value, 10), serialize: value => String(value) },
+    number: { parse: value => parseFloat(value), serialize: value => String(value) },
+    // Boolean("0") is true, so compare against the API's actual flags
+    boolean: {
+        parse: value => value === true || value === 1 || value === "1" || value === "true",
+        serialize: value => (value ? "1" : "0")
+    },
+    // new Date("1640995200000") is Invalid Date: millisecond strings need Number() first
+    timestamp: { parse: value => new Date(Number(value)), serialize: date => String(date.getTime()) },
+    list: {
+        parse: value => String(value).split(",").map(item => item.trim()).filter(Boolean),
+        serialize: list => list.join(",")
+    }
+};
+
+function getByPath(obj, path) {
+    return path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function setByPath(obj, path, value) {
+    let keys = path.split(".");
+    let node = obj;
+    for (let key of keys.slice(0, -1)) {
+        if (typeof node[key] !== "object" || node[key] === null) node[key] = {};
+        node = node[key];
     }
+    node[keys[keys.length - 1]] = value;
+}
+
+// Leaf paths of a nested object: { a: { b: 1 } } → ["a.b"]
+function leafPaths(obj, prefix = "") {
+    let paths = [];
+    for (let [key, value] of Object.entries(obj)) {
+        let path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+            paths.push(...leafPaths(value, path));
+        } else {
+            paths.push(path);
+        }
+    }
+    return paths;
+}
+
+function isInvalidValue(value) {
+    return (typeof value === "number" && isNaN(value)) ||
+        (value instanceof Date && isNaN(value.getTime()));
+}
+
+function createMapper(fields) {
+    let resolved = fields.map(field => ({
+        target: field.source,
+        ...field,
+        converter: typeof field.type === "object" ? field.type : fieldConverters[field.type || "string"]
+    }));
+    
+    return {
+        // API payload → domain object, plus the fields no mapping knows about
+        parse(payload) {
+            let data = {};
+            
+            for (let field of resolved) {
+                let raw = getByPath(payload, field.source);
+                let value = raw === undefined || raw === null || raw === "" ? undefined : field.converter.parse(raw);
+                if (value === undefined || isInvalidValue(value)) value = field.default;
+                if (value !== undefined) setByPath(data, field.target, value);
+            }
+            
+            let unknown = leafPaths(payload).filter(path =>
+                !resolved.some(field => path === field.source || path.startsWith(field.source + "."))
+            );
+            
+            return { data, unknown };
+        },
+        
+        // Domain object → API payload
+        serialize(domain) {
+            let payload = {};
+            
+            for (let field of resolved) {
+                let value = getByPath(domain, field.target);
+                if (value === undefined) continue;
+                setByPath(payload, field.source, field.converter.serialize(value));
+            }
+            
+            return payload;
+        }
+    };
 }
-let processedResponse = processApiResponse(apiResponse);
+
+let productMapper = createMapper([
+    { source: "id", type: "integer" },
+    { source: "timestamp", target: "updatedAt", type: "timestamp" },
+    { source: "price", target: "pricing.amount", type: "number", default: 0 },
+    { source: "currency", target: "pricing.currency", default: "USD" },
+    { source: "inStock", type: "boolean", default: false },
+    { source: "tags", type: "list", default: [] },
+    { source: "meta.vendor_name", target: "vendor" }
+]);
+
+let processedResponse = productMapper.parse({
+    ...apiResponse,
+    inStock: "0",
+    meta: { vendor_name: "Acme", internal_code: "X1" },
+    legacyFlag: "Y"
+});
 console.log(processedResponse);
+// {
+//   data: {
+//     id: 123,
+//     updatedAt: 2022-01-01T00:00:00.000Z,
+//     pricing: { amount: 99.99, currency: "USD" },
+//     inStock: false,
+//     tags: ["electronics", "laptop", "computer"],
+//     vendor: "Acme"
+//   },
+//   unknown: ["meta.internal_code", "legacyFlag"]
+// }
+
+console.log(productMapper.serialize(processedResponse.data));
+// {
+//   id: "123",
+//   timestamp: "1640995200000",
+//   price: "99.99",
+//   currency: "USD",
+//   inStock: "0",
+//   tags: "electronics,laptop,computer",
+//   meta: { vendor_name: "Acme" }
+// }
 
 // 3. URL Parameter Processing
 
@@ -58,26 +180,178 @@ let urlParams = {
     tags: "electronics,laptop,computer"
 };
 
-// convert URL parameters to appropriate types
-// URL parameters are always strings
-function parseUrlParams(url) {
-    let params = new URLSearchParams(url.split("?")[1]);
+// URL parameters are always strings, so types come from a per-key schema
+// instead of guessing ("007" stays a string unless the schema says "number")
+
+// Split "filter[price][min]" into ["filter", "price", "min"]; "tag[]" → ["tag", ""]
+function parseQueryKey(key) {
+    let match = key.match(/^([^[\]]*)((?:\[[^[\]]*\])*)$/);
+    if (!match || match[1] === "") return [key];
+    let path = [match[1]];
+    for (let [, part] of match[2].matchAll(/\[([^[\]]*)\]/g)) {
+        path.push(part);
+    }
+    return path;
+}
+
+function decodeQueryPart(part) {
+    try {
+        return decodeURIComponent(part.replace(/\+/g, " "));
+    } catch (e) {
+        return part; // Leave malformed escapes like "%E0%A4%A" untouched
+    }
+}
+
+// Pull the query string out of a full URL, relative URL, "?a=1" or "a=1"
+function extractQuery(url) {
+    let withoutHash = url.split("#")[0];
+    let questionMark = withoutHash.indexOf("?");
+    if (questionMark !== -1) return withoutHash.slice(questionMark + 1);
+    return withoutHash.includes("=") ? withoutHash : "";
+}
+
+// Coerce a string according to a schema entry:
+// "string" | "number" | "boolean" | "date" | "<type>[]" | custom function
+function coerceQueryValue(value, type) {
+    if (typeof type === "function") return type(value);
+    
+    if (type.endsWith("[]")) {
+        let list = Array.isArray(value) ? value : [value];
+        return list.map(item => coerceQueryValue(item, type.slice(0, -2)));
+    }
+    
+    if (Array.isArray(value)) return value.map(item => coerceQueryValue(item, type));
+    
+    switch (type) {
+        case "number":
+            return value === "" ? null : Number(value);
+        case "boolean":
+            return value === "true" || value === "1";
+        case "date":
+            return new Date(value);
+        default:
+            return value;
+    }
+}
+
+// Keys that would reach Object.prototype instead of creating a plain property:
+// "?__proto__[admin]=1" must not give every object in the process an admin flag
+let unsafeQueryKeys = ["__proto__", "constructor", "prototype"];
+
+function parseQuery(url, schema = {}) {
     let result = {};
     
-    for (let [key, value] of params) {
-        // Try to convert to appropriate type
-        if (value === "true" || value === "false") {
-            result[key] = value === "true";
-        } else if (!isNaN(value) && !isNaN(parseFloat(value))) {
-            result[key] = parseFloat(value);
+    for (let pair of extractQuery(url).split("&")) {
+        if (pair === "") continue;
+        
+        let separator = pair.indexOf("=");
+        let rawKey = separator === -1 ? pair : pair.slice(0, separator);
+        let value = separator === -1 ? "" : decodeQueryPart(pair.slice(separator + 1));
+        let path = parseQueryKey(decodeQueryPart(rawKey));
+        
+        if (path.some(key => unsafeQueryKeys.includes(key))) continue;
+        
+        // "tag[]" always produces an array, even for a single value
+        let forceArray = path.length > 1 && path[path.length - 1] === "";
+        if (forceArray) path = path.slice(0, -1);
+        
+        // Walk/create nested objects for every segment but the last
+        let node = result;
+        for (let key of path.slice(0, -1)) {
+            if (!Object.hasOwn(node, key) || typeof node[key] !== "object" || Array.isArray(node[key])) node[key] = {};
+            node = node[key];
+        }
+        
+        // Own properties only, so "?toString=x" isn't merged with Object.prototype.toString
+        let last = path[path.length - 1];
+        if (!Object.hasOwn(node, last)) {
+            node[last] = forceArray ? [value] : value;
         } else {
-            result[key] = value;
+            // Repeated key: collect every value in order
+            node[last] = [].concat(node[last], value);
+        }
+    }
+    
+    // Apply schema coercion (keys may be dotted paths into nested objects)
+    for (let [path, type] of Object.entries(schema)) {
+        let keys = path.split(".");
+        let parent = keys.slice(0, -1).reduce((obj, key) => (obj && typeof obj === "object" && Object.hasOwn(obj, key) ? obj[key] : undefined), result);
+        let last = keys[keys.length - 1];
+        if (parent && Object.hasOwn(parent, last)) {
+            parent[last] = coerceQueryValue(parent[last], type);
         }
     }
     
     return result;
 }
 
+// Inverse of parseQuery: keys are sorted so the same state always gives the same URL
+function stringifyQuery(params, prefix = "") {
+    let pairs = [];
+    
+    for (let key of Object.keys(params).sort()) {
+        let value = params[key];
+        let fullKey = prefix ? `${prefix}[${encodeURIComponent(key)}]` : encodeURIComponent(key);
+        
+        if (value === undefined) continue;
+        
+        if (Array.isArray(value)) {
+            for (let item of value) {
+                pairs.push(`${fullKey}=${encodeURIComponent(stringifyQueryValue(item))}`);
+            }
+        } else if (typeof value === "object" && value !== null && !(value instanceof Date)) {
+            let nested = stringifyQuery(value, fullKey);
+            if (nested) pairs.push(nested);
+        } else {
+            pairs.push(`${fullKey}=${encodeURIComponent(stringifyQueryValue(value))}`);
+        }
+    }
+    
+    return pairs.join("&");
+}
+
+function stringifyQueryValue(value) {
+    if (value === null) return "";
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+// Replace the query of a URL with the given state, keeping path and hash
+function buildUrl(url, params) {
+    let [withoutHash, ...hashParts] = url.split("#");
+    let base = withoutHash.split("?")[0];
+    let query = stringifyQuery(params);
+    let hash = hashParts.length ? "#" + hashParts.join("#") : "";
+    return base + (query ? "?" + query : "") + hash;
+}
+
 let url = "https://example.com/search?q=laptop&page=2&inStock=true&minPrice=100.50";
-console.log(parseUrlParams(url));
+console.log(parseQuery(url));
+// { q: "laptop", page: "2", inStock: "true", minPrice: "100.50" }
+
+console.log(parseQuery(url, { page: "number", inStock: "boolean", minPrice: "number" }));
 // { q: "laptop", page: 2, inStock: true, minPrice: 100.5 }
+
+// Repeated keys, bracket notation, hash fragments and relative URLs
+let filterUrl = "/products?tag=sale&tag=new&filter[price][min]=10&filter[price][max]=99.5&sku=007#results";
+let filters = parseQuery(filterUrl, {
+    tag: "string[]",
+    "filter.price.min": "number",
+    "filter.price.max": "number"
+});
+console.log(filters);
+// { tag: ["sale", "new"], filter: { price: { min: 10, max: 99.5 } }, sku: "007" }
+
+console.log(stringifyQuery(filters));
+// "filter[price][max]=99.5&filter[price][min]=10&sku=007&tag=sale&tag=new"
+
+console.log(stringifyQuery(parseQuery(stringifyQuery(filters))) === stringifyQuery(filters)); // true
+
+// Query strings are untrusted input: prototype keys are dropped, not followed
+console.log(parseQuery("?__proto__[polluted]=yes&constructor[prototype][polluted]=yes&q=safe")); // { q: "safe" }
+console.log(({}).polluted);                                    // undefined
+console.log(parseQuery("?toString=x&toString=y"));             // { toString: ["x", "y"] }
+
+// Build a filter URL from UI state
+console.log(buildUrl("/products?old=1#results", { q: "usb c", tag: ["cable"], filter: { inStock: true } }));
+// "/products?filter[inStock]=true&q=usb%20c&tag=cable#results"
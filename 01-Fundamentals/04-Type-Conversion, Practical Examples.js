@@ -48,6 +48,170 @@ console.log(parseConfig(envConfig));
 //   DATABASE_URL: "mongodb://localhost:27017/myapp"
 // }
 
+// Layered configuration: defaults → .env file → process env
+// Every layer is flat strings, so parseConfig does the typing for each one
+
+// Parse the contents of a .env file into a flat { KEY: "value" } object
+// Supports comments, `export`, single/double quotes, multi-line double quotes
+// and ${VAR} / ${VAR:-fallback} interpolation (earlier keys, then `env`)
+function parseDotEnv(text, env = {}) {
+    let result = {};
+    let lines = text.replace(/\r\n?/g, "\n").split("\n");
+    
+    function interpolate(value) {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (result[name] !== undefined) return result[name];
+            if (env[name] !== undefined) return env[name];
+            return fallback !== undefined ? fallback : "";
+        });
+    }
+    
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].trim();
+        if (line === "" || line.startsWith("#")) continue;
+        
+        let match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/);
+        if (!match) continue; // Ignore malformed lines
+        
+        let [, key, value] = match;
+        
+        if (value.startsWith('"')) {
+            // Double quotes: may span lines, escapes and interpolation apply
+            let raw = value.slice(1);
+            let end;
+            while ((end = raw.search(/(?<!\\)"/)) === -1 && i + 1 < lines.length) {
+                raw += "\n" + lines[++i];
+            }
+            if (end !== -1) raw = raw.slice(0, end);
+            value = interpolate(raw.replace(/\\n/g, "\n").replace(/\\"/g, '"'));
+        } else if (value.startsWith("'")) {
+            // Single quotes: taken literally
+            let end = value.indexOf("'", 1);
+            value = value.slice(1, end === -1 ? undefined : end);
+        } else {
+            // Unquoted: strip inline comments
+            value = interpolate(value.replace(/\s+#.*$/, "").trim());
+        }
+        
+        result[key] = value;
+    }
+    
+    return result;
+}
+
+// "APP_DB__HOST" with prefix "APP_" → ["db", "host"]
+// Double underscores nest, single underscores become camelCase
+function envKeyToPath(key, prefix = "") {
+    return key
+        .slice(prefix.length)
+        .split("__")
+        .map(part => part.toLowerCase().replace(/_([a-z0-9])/g, (m, c) => c.toUpperCase()));
+}
+
+function setPath(target, path, value) {
+    let node = target;
+    for (let key of path.slice(0, -1)) {
+        if (typeof node[key] !== "object" || node[key] === null || Array.isArray(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    node[path[path.length - 1]] = value;
+}
+
+function flattenConfig(obj, parentPath = []) {
+    let entries = [];
+    for (let [key, value] of Object.entries(obj)) {
+        let path = [...parentPath, key];
+        if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+            entries.push(...flattenConfig(value, path));
+        } else {
+            entries.push([path, value]);
+        }
+    }
+    return entries;
+}
+
+// Merge defaults, a .env file and process env (later layers win)
+// Returns the nested config plus the source of every final value
+function loadConfig({ defaults = {}, envFile, fileContents, env = process.env, prefix = "" } = {}) {
+    let config = {};
+    let sources = {};
+    
+    function apply(path, value, source) {
+        setPath(config, path, value);
+        sources[path.join(".")] = source;
+    }
+    
+    for (let [path, value] of flattenConfig(defaults)) {
+        apply(path, value, "defaults");
+    }
+    
+    if (fileContents === undefined && envFile) {
+        let fs = require("fs");
+        fileContents = fs.existsSync(envFile) ? fs.readFileSync(envFile, "utf8") : "";
+    }
+    
+    let layers = [
+        [parseDotEnv(fileContents || "", env), envFile || ".env"],
+        [env, "env"]
+    ];
+    
+    for (let [vars, source] of layers) {
+        let scoped = Object.fromEntries(
+            Object.entries(vars).filter(([key]) => key.startsWith(prefix))
+        );
+        for (let [key, value] of Object.entries(parseConfig(scoped))) {
+            apply(envKeyToPath(key, prefix), value, source);
+        }
+    }
+    
+    return { config, sources };
+}
+
+// Usage
+let dotEnvFile = `
+# Database settings
+APP_DB__HOST=db.internal
+APP_DB__PORT=5432
+APP_DB__URL="postgres://\${APP_DB__HOST}:\${APP_DB__PORT}/shop"
+APP_GREETING='Hello, \${USER}'   # single quotes are literal
+export APP_FEATURE_FLAGS=["search", "wishlist"]
+APP_LOG_LEVEL=info # inline comment
+`;
+
+let appConfig = loadConfig({
+    prefix: "APP_",
+    defaults: {
+        port: 3000,
+        logLevel: "warn",
+        db: { host: "localhost", port: 5432, pool: 10 }
+    },
+    fileContents: dotEnvFile,
+    env: { APP_PORT: "8080", APP_DB__POOL: "25", HOME: "/home/app" }
+});
+
+console.log(appConfig.config);
+// {
+//   port: 8080,
+//   logLevel: "info",
+//   db: { host: "db.internal", port: 5432, pool: 25, url: "postgres://db.internal:5432/shop" },
+//   greeting: "Hello, ${USER}",
+//   featureFlags: ["search", "wishlist"]
+// }
+
+console.log(appConfig.sources);
+// {
+//   port: "env",
+//   logLevel: ".env",
+//   "db.host": ".env",
+//   "db.port": ".env",
+//   "db.pool": "env",
+//   "db.url": ".env",
+//   greeting: ".env",
+//   featureFlags: ".env"
+// }
+
 // 2. Data Sanitizer - Data sanitization in JavaScript refers to the process of cleaning and validating user input
 
 // Helper functions
@@ -67,42 +231,57 @@ function toBoolean(value) {
     return Boolean(value);
 }
 
+// Sanitize a single value against its rules
+// "object" and "array" rules recurse, so nested fields get the same
+// defaults, trimming, clamping and maxLength handling as top-level ones
+function sanitizeValue(value, rules) {
+    switch (rules.type) {
+        case "string":
+            value = toString(value, rules.default || "");
+            if (rules.trim) value = value.trim();
+            if (rules.maxLength) value = value.substring(0, rules.maxLength);
+            break;
+            
+        case "number":
+            value = toNumber(value, rules.default || 0);
+            if (rules.min !== undefined) value = Math.max(value, rules.min);
+            if (rules.max !== undefined) value = Math.min(value, rules.max);
+            break;
+            
+        case "boolean":
+            value = toBoolean(value);
+            break;
+            
+        case "array":
+            if (typeof value === "string") {
+                value = value.split(rules.separator || ",").map(item => item.trim());
+            } else if (!Array.isArray(value)) {
+                value = rules.default || [];
+            }
+            if (rules.items) {
+                value = value.map(item => sanitizeValue(item, rules.items));
+            }
+            break;
+            
+        case "object":
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                value = rules.default || {};
+            }
+            if (rules.schema) {
+                value = sanitizeUserData(value, rules.schema);
+            }
+            break;
+    }
+    
+    return value;
+}
+
 // Sanitize and convert user input
 function sanitizeUserData(data, schema) {
     let sanitized = {};
     
     for (let [field, rules] of Object.entries(schema)) {
-        let value = data[field];
-        
-        // Apply type conversion
-        switch (rules.type) {
-            case "string":
-                value = toString(value, rules.default || "");
-                if (rules.trim) value = value.trim();
-                if (rules.maxLength) value = value.substring(0, rules.maxLength);
-                break;
-                
-            case "number":
-                
-                value = toNumber(value, rules.default || 0);
-                if (rules.min !== undefined) value = Math.max(value, rules.min);
-                if (rules.max !== undefined) value = Math.min(value, rules.max);
-                break;
-                
-            case "boolean":
-                value = toBoolean(value);
-                break;
-                
-            case "array":
-                if (typeof value === "string") {
-                    value = value.split(rules.separator || ",").map(item => item.trim());
-                } else if (!Array.isArray(value)) {
-                    value = rules.default || [];
-                }
-                break;
-        }
-        
-        sanitized[field] = value;
+        sanitized[field] = sanitizeValue(data[field], rules);
     }
     
     return sanitized;
@@ -137,3 +316,269 @@ console.log(sanitizeUserData(userInput, schema));
 //   score: 100
 // }
 
+// Nested objects and arrays of objects
+let orderInput = {
+    customer: "  Alice Johnson ",
+    address: {
+        street: "  456 Oak Ave  ",
+        city: "San Francisco",
+        zipCode: 94102          // Will become a string
+    },
+    items: [
+        { name: " Laptop ", quantity: "1", price: "999.99" },
+        { name: "Headphones", quantity: "250", price: "abc" }  // Clamped / defaulted
+    ]
+};
+
+let orderSchema = {
+    customer: { type: "string", trim: true },
+    address: {
+        type: "object",
+        schema: {
+            street: { type: "string", trim: true },
+            city: { type: "string", trim: true },
+            state: { type: "string", default: "N/A" },
+            zipCode: { type: "string", maxLength: 5 }
+        }
+    },
+    items: {
+        type: "array",
+        items: {
+            type: "object",
+            schema: {
+                name: { type: "string", trim: true, maxLength: 30 },
+                quantity: { type: "number", min: 1, max: 99 },
+                price: { type: "number", min: 0 }
+            }
+        }
+    }
+};
+
+console.log(sanitizeUserData(orderInput, orderSchema));
+// {
+//   customer: "Alice Johnson",
+//   address: { street: "456 Oak Ave", city: "San Francisco", state: "N/A", zipCode: "94102" },
+//   items: [
+//     { name: "Laptop", quantity: 1, price: 999.99 },
+//     { name: "Headphones", quantity: 99, price: 0 }
+//   ]
+// }
+
+// Missing nested values fall back to defaults
+console.log(sanitizeUserData({}, orderSchema));
+// {
+//   customer: "",
+//   address: { street: "", city: "", state: "N/A", zipCode: "" },
+//   items: []
+// }
+
+// 3. CSV Import and Export
+// The sanitizeUserData schema already knows every field's type, limits and
+// separators, so it drives both directions. Nested "object" fields become
+// dotted columns ("address.city"); arrays of objects don't fit in a cell and are skipped.
+
+// Split CSV text into rows of cells (RFC 4180: quotes, "" escapes, embedded newlines)
+function parseCsv(text, delimiter = ",") {
+    let rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+    
+    text = text.replace(/^\uFEFF/, ""); // Excel adds a byte order mark
+    
+    for (let i = 0; i < text.length; i++) {
+        let char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === "") {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(cells => cells.length > 1 || cells[0] !== "");
+}
+
+// [{ path: "address.city", rules }, ...] in schema order
+function schemaColumns(schema, prefix = "") {
+    let columns = [];
+    for (let [field, rules] of Object.entries(schema)) {
+        let path = prefix + field;
+        if (rules.type === "object" && rules.schema) {
+            columns.push(...schemaColumns(rules.schema, path + "."));
+        } else if (!(rules.type === "array" && rules.items && rules.items.type === "object")) {
+            columns.push({ path, rules });
+        }
+    }
+    return columns;
+}
+
+// Why a raw cell would be changed or replaced by sanitizeValue, or null if it's fine
+function checkCell(raw, rules) {
+    if (raw === "") return null; // Empty cells take the schema default
+    
+    switch (rules.type) {
+        case "number": {
+            let num = Number(raw);
+            if (isNaN(num)) return { code: "type", message: `"${raw}" is not a number` };
+            if (rules.min !== undefined && num < rules.min) return { code: "range", message: `${num} is below ${rules.min}` };
+            if (rules.max !== undefined && num > rules.max) return { code: "range", message: `${num} is above ${rules.max}` };
+            return null;
+        }
+        case "boolean":
+            return ["true", "false"].includes(raw.trim().toLowerCase())
+                ? null
+                : { code: "type", message: `"${raw}" is not true/false` };
+        case "string":
+            return rules.maxLength && raw.trim().length > rules.maxLength
+                ? { code: "maxLength", message: `longer than ${rules.maxLength} characters` }
+                : null;
+        default:
+            return null;
+    }
+}
+
+// Parse CSV into typed records; rows with problems are reported, not fatal
+// Row numbers count the header as row 1, like a spreadsheet
+function importCsv(text, schema, { delimiter = "," } = {}) {
+    let [header = [], ...dataRows] = parseCsv(text, delimiter);
+    let columns = schemaColumns(schema);
+    let records = [];
+    let errors = [];
+    
+    let headerNames = header.map(name => name.trim());
+    for (let name of headerNames) {
+        if (!columns.some(column => column.path === name)) {
+            errors.push({ row: 1, column: name, code: "unknownColumn", message: `column "${name}" is not in the schema` });
+        }
+    }
+    
+    dataRows.forEach((cells, index) => {
+        let row = index + 2;
+        
+        if (cells.length !== header.length) {
+            errors.push({ row, column: null, code: "columns", message: `expected ${header.length} cells, found ${cells.length}` });
+            return;
+        }
+        
+        let raw = {};
+        let rowErrors = [];
+        
+        for (let { path, rules } of columns) {
+            let position = headerNames.indexOf(path);
+            if (position === -1) continue; // Missing column → default
+            
+            let value = cells[position];
+            let problem = checkCell(value, rules);
+            if (problem) rowErrors.push({ row, column: path, ...problem });
+            
+            if (value !== "") setPath(raw, path.split("."), value);
+        }
+        
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+        } else {
+            records.push(sanitizeUserData(raw, schema));
+        }
+    });
+    
+    return { records, errors };
+}
+
+function formatCsvCell(value, delimiter) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+// Write records back to CSV, columns in schema order
+function exportCsv(records, schema, { delimiter = "," } = {}) {
+    let columns = schemaColumns(schema);
+    let lines = [columns.map(column => formatCsvCell(column.path, delimiter)).join(delimiter)];
+    
+    for (let record of records) {
+        let cells = columns.map(({ path, rules }) => {
+            let value = path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), record);
+            if (Array.isArray(value)) value = value.join(rules.separator || ",");
+            return formatCsvCell(value, delimiter);
+        });
+        lines.push(cells.join(delimiter));
+    }
+    
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Usage
+let userCsvSchema = {
+    name: { type: "string", trim: true, maxLength: 20 },
+    age: { type: "number", min: 0, max: 120 },
+    isActive: { type: "boolean" },
+    hobbies: { type: "array", separator: "|" },
+    address: {
+        type: "object",
+        schema: {
+            city: { type: "string", trim: true },
+            zipCode: { type: "string" }
+        }
+    }
+};
+
+let usersCsv = "\uFEFFname,age,isActive,hobbies,address.city,address.zipCode,notes\r\n" +
+    '"Doe, John",30,TRUE,reading|coding,San Francisco,94102,\r\n' +
+    '"Alice ""Ali"" Smith",28,false,hiking,"New\nYork",10001,multi-line city\r\n' +
+    "Bob,abc,maybe,,Boston,02101,\r\n" +
+    "Carol,200,true\r\n" +
+    "Dave,,,,,,\r\n";
+
+let imported = importCsv(usersCsv, userCsvSchema);
+console.log(imported.records);
+// [
+//   { name: "Doe, John", age: 30, isActive: true, hobbies: ["reading", "coding"], address: { city: "San Francisco", zipCode: "94102" } },
+//   { name: 'Alice "Ali" Smith', age: 28, isActive: false, hobbies: ["hiking"], address: { city: "New\nYork", zipCode: "10001" } },
+//   { name: "Dave", age: 0, isActive: false, hobbies: [], address: { city: "", zipCode: "" } }
+// ]
+
+console.log(imported.errors);
+// [
+//   { row: 1, column: "notes", code: "unknownColumn", message: 'column "notes" is not in the schema' },
+//   { row: 4, column: "age", code: "type", message: '"abc" is not a number' },
+//   { row: 4, column: "isActive", code: "type", message: '"maybe" is not true/false' },
+//   { row: 5, column: null, code: "columns", message: "expected 7 cells, found 3" }
+// ]
+
+console.log(exportCsv(imported.records, userCsvSchema, { delimiter: ";" }));
+// name;age;isActive;hobbies;address.city;address.zipCode
+// Doe, John;30;true;reading|coding;San Francisco;94102
+// "Alice ""Ali"" Smith";28;false;hiking;"New
+// York";10001
+// Dave;0;false;;;
+
+// Exported files import back to the same records
+let roundTrip = importCsv(exportCsv(imported.records, userCsvSchema), userCsvSchema);
+console.log(JSON.stringify(roundTrip.records) === JSON.stringify(imported.records)); // true
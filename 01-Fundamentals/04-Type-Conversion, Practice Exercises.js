@@ -16,23 +16,11 @@ function toBoolean(value) {
     return Boolean(value);
 }
 
-// Universal converter function
-function convert(value, targetType) {
-    switch (targetType.toLowerCase()) {
-        case "string":
-            return toString(value);
-        case "number":
-            return toNumber(value);
-        case "boolean":
-            return toBoolean(value);
-        case "array":
-            if (Array.isArray(value)) return value;
-            if (typeof value === "string") return value.split(",").map(item => item.trim());
-            return [value];
-        default:
-            return value; // return as-is if unknown type
-    }
-}
+// Type registry: each type knows how to convert a value (`from`)
+// and, optionally, how to check the result (`validate`).
+// convert(value, targetType) takes a registered name ("number") or a
+// type definition (enumOf(...)) and throws when the value doesn't fit
+let { registerType, enumOf, convert } = require("../shared/type-registry");
 
 // Test the converter
 console.log(convert("123", "number"));     // 123
@@ -41,14 +29,54 @@ console.log(convert("true", "boolean"));   // true
 console.log(convert("a,b,c", "array"));    // ["a", "b", "c"]
 console.log(convert(42, "array"));         // [42]
 
+// Built-in extended types
+console.log(convert("1640995200000", "date"));              // 2022-01-01T00:00:00.000Z
+console.log(convert("9007199254740993", "bigint"));         // 9007199254740993n
+console.log(convert("https://example.com/a?b=1", "url").hostname); // "example.com"
+console.log(convert('{"tags":["a","b"]}', "json"));         // { tags: ["a", "b"] }
+console.log(convert("42", "integer"));                      // 42
+console.log(convert(" active ", enumOf("active", "banned"))); // "active"
+
+// Custom types
+registerType("percent", {
+    from: value => Number(String(value).replace("%", "").trim()) / 100,
+    validate: value => value >= 0 && value <= 1
+});
+registerType("status", enumOf("pending", "paid", "shipped"));
+
+console.log(convert("25%", "percent"));    // 0.25
+console.log(convert("paid", "status"));    // "paid"
+
+// Failures throw instead of passing the value through
+for (let [value, type] of [["12.5", "integer"], ["not a date", "date"], ["cancelled", "status"], ["x", "uuid"], [null, "date"], [true, "integer"], ["", "number"]]) {
+    try {
+        convert(value, type);
+    } catch (error) {
+        console.log(error.message);
+    }
+}
+// Cannot convert "12.5" to integer
+// Cannot convert "not a date" to date
+// Cannot convert "cancelled" to status
+// Unknown target type "uuid"
+// Cannot convert null to date: value is empty
+// Cannot convert true to integer
+// Cannot convert "" to number: value is empty
+
 // ✅ Features:
 // - Converts between string, number, boolean, and array types.
+// - Built-in date, bigint, url, json, integer and enumOf(...values) types.
+// - New types can be added with registerType(name, { from, validate }).
+// - Unknown types and failed conversions throw instead of returning the input.
 // - Handles null/undefined safely.
 // - Splits comma-separated strings into arrays.
 // - Wraps other values into array if needed.
 // - Case-insensitive target type.
 
 // Exercise 2: Form Validator
+let { formatError, createError, createResult } = require("../shared/validation-errors");
+let { isEmail } = require("../shared/guards");
+
 function validateForm(formData, rules) {
     let errors = [];         // Collect all validation errors
     let validData = {};      // Store processed valid values
@@ -58,7 +86,12 @@ function validateForm(formData, rules) {
 
         // 1. Required field check
         if (rule.required && (value === undefined || value === null || value === "")) {
-            errors.push(`${field} is required`);
+            errors.push(createError(field, "required"));
+            continue;
+        }
+
+        // Optional fields that were left empty are skipped, not validated
+        if (value === undefined || value === null || value === "") {
             continue;
         }
 
@@ -71,22 +104,22 @@ function validateForm(formData, rules) {
 
                 case "email":
                     value = String(value).trim().toLowerCase();
-                    if (!value.includes("@")) {
-                        errors.push(`${field} must be a valid email`);
+                    if (!isEmail(value)) {
+                        errors.push(createError(field, "email"));
                     }
                     break;
 
                 case "age":
                     value = parseInt(value, 10);
                     if (isNaN(value) || value < 0 || value > 150) {
-                        errors.push(`${field} must be a valid age (0-150)`);
+                        errors.push(createError(field, "range", { min: 0, max: 150 }));
                     }
                     break;
 
                 case "phone":
                     value = String(value).replace(/\D/g, ""); // Remove non-digit characters
                     if (value.length !== 10) {
-                        errors.push(`${field} must be a 10-digit phone number`);
+                        errors.push(createError(field, "phone", { digits: 10 }));
                     }
                     break;
 
@@ -98,6 +131,13 @@ function validateForm(formData, rules) {
                     value = toNumber(value);
                     break;
 
+                case "date":
+                    value = new Date(value);
+                    if (isNaN(value.getTime())) {
+                        errors.push(createError(field, "date"));
+                    }
+                    break;
+
                 case "array":
                     if (Array.isArray(value)) break;
                     if (typeof value === "string") value = value.split(",").map(item => item.trim());
@@ -111,15 +151,11 @@ function validateForm(formData, rules) {
 
             validData[field] = value; // Store processed value
         } catch (e) {
-            errors.push(`Error processing ${field}: ${e.message}`);
+            errors.push(createError(field, "invalid", { reason: e.message }));
         }
     }
 
-    return {
-        isValid: errors.length === 0,
-        errors,
-        data: validData
-    };
+    return createResult(errors, validData);
 }
 
 // Test the validator
@@ -139,10 +175,146 @@ let validationRules = {
 
 console.log(validateForm(form, validationRules));
 
+console.log(validateForm({ name: "", email: "nope", age: "200" }, validationRules).errors);
+// [
+//   { path: "name", code: "required", message: "name is required", params: {} },
+//   { path: "email", code: "email", message: "email must be a valid email", params: {} },
+//   { path: "age", code: "range", message: "age must be between 0 and 150", params: { min: 0, max: 150 } }
+// ]
+
+// Same errors, translated by code
+let spanishMessages = {
+    required: "{path} es obligatorio",
+    email: "{path} debe ser un correo válido",
+    range: "{path} debe estar entre {min} y {max}"
+};
+let ageError = validateForm({ name: "Ana", email: "ana@example.com", age: "200" }, validationRules).errors[0];
+console.log(formatError(ageError, spanishMessages)); // "age debe estar entre 0 y 150"
+
 // ✅ Features of Form Validator:
 // - Checks required fields.
-// - Converts and validates types: string, email, age, phone, boolean, number, array.
+// - Converts and validates types: string, email, age, phone, boolean, number, date, array.
 // - Handles null, undefined, empty strings safely.
-// - Provides descriptive error messages.
+// - Structured errors { path, code, message, params } with translatable messages.
 // - Returns both validated data and errors.
 // - Flexible: can extend for new types easily.
+
+// Exercise 3: Async and Cross-Field Validation
+// Extra rule options on top of validateForm:
+// - required: data => boolean        → conditional requirement
+// - validate: fn or [fn, ...]        → (value, data, field) => true | message | { code, params } (may be async)
+// validate functions receive the converted data, so they can compare fields
+
+function matchesField(otherField) {
+    return (value, data) => value === data[otherField] || { code: "match", params: { field: otherField } };
+}
+
+function afterField(otherField) {
+    return (value, data) => {
+        if (!(data[otherField] instanceof Date)) return true; // Other field already reported
+        return value > data[otherField] || { code: "after", params: { field: otherField } };
+    };
+}
+
+async function validateFormAsync(formData, rules) {
+    let errors = [];
+    let validData = {};
+    let pending = [];
+
+    for (let [field, rule] of Object.entries(rules)) {
+        let required = typeof rule.required === "function" ? rule.required(formData) : rule.required;
+
+        // Reuse the synchronous validator for requirement and type checks
+        let result = validateForm(formData, { [field]: { ...rule, required } });
+        if (!result.isValid) {
+            errors.push(...result.errors);
+            continue;
+        }
+        if (field in result.data) {
+            validData[field] = result.data[field];
+            if (rule.validate) pending.push([field, [].concat(rule.validate)]);
+        }
+    }
+
+    // Custom validators run once every field is converted, fields in parallel
+    let failures = await Promise.all(pending.map(async ([field, validators]) => {
+        for (let validator of validators) {
+            try {
+                let outcome = await validator(validData[field], validData, field);
+                if (outcome === false) return createError(field, "invalid");
+                if (typeof outcome === "string") return createError(field, "invalid", {}, outcome);
+                if (outcome && outcome.code) return createError(field, outcome.code, outcome.params);
+            } catch (e) {
+                return createError(field, "invalid", { reason: e.message });
+            }
+        }
+        return null;
+    }));
+
+    for (let error of failures) {
+        if (error) {
+            errors.push(error);
+            delete validData[error.path];
+        }
+    }
+
+    return createResult(errors, validData);
+}
+
+// Simulated user store with an async lookup
+let userStore = {
+    emails: ["taken@example.com"],
+    emailExists(email) {
+        return new Promise(resolve => setTimeout(() => resolve(this.emails.includes(email)), 50));
+    }
+};
+
+let signupRules = {
+    email: {
+        required: true,
+        type: "email",
+        validate: async email => !(await userStore.emailExists(email)) || { code: "unique" }
+    },
+    password: {
+        required: true,
+        type: "string",
+        validate: password => password.length >= 8 || { code: "minLength", params: { min: 8 } }
+    },
+    passwordConfirm: { required: true, type: "string", validate: matchesField("password") },
+    contactMethod: { required: true, type: "string" },
+    phone: { required: data => data.contactMethod === "phone", type: "phone" },
+    startDate: { required: true, type: "date" },
+    endDate: { required: true, type: "date", validate: afterField("startDate") }
+};
+
+validateFormAsync({
+    email: "new@example.com",
+    password: "s3cret-pass",
+    passwordConfirm: "s3cret-pass",
+    contactMethod: "email",
+    startDate: "2024-01-01",
+    endDate: "2024-02-01"
+}, signupRules).then(result => console.log(result));
+// { isValid: true, errors: [], data: { email: "new@example.com", ... } }
+
+validateFormAsync({
+    email: "TAKEN@example.com",
+    password: "short",
+    passwordConfirm: "different",
+    contactMethod: "phone",
+    startDate: "2024-02-01",
+    endDate: "2024-01-01"
+}, signupRules).then(result => console.log(result.errors.map(error => `${error.path}: ${error.code}`)));
+// [
+//   "phone: required",
+//   "email: unique",
+//   "password: minLength",
+//   "passwordConfirm: match",
+//   "endDate: after"
+// ]
+
+// ✅ Features of Async Validator:
+// - Same { isValid, errors, data } result, wrapped in a promise.
+// - Conditional requirements based on other fields.
+// - Cross-field rules (matching values, date ordering).
+// - Async validators such as uniqueness checks run in parallel.
@@ -1,10 +1,75 @@
 // 1. Safe Number Conversion
 
-function toNumber(value, defaultValue = 0){
+// Look up the decimal and grouping separators for a locale
+// Accepts a locale tag ("en-US", "de-DE") or explicit { decimal, group }
+function getNumberSeparators(locale = "en-US") {
+    if (typeof locale === "object") {
+        return { decimal: locale.decimal || ".", group: locale.group || "" };
+    }
+    
+    let separators = { decimal: ".", group: "," };
+    for (let part of new Intl.NumberFormat(locale).formatToParts(12345.6)) {
+        if (part.type === "decimal") separators.decimal = part.value;
+        if (part.type === "group") separators.group = part.value;
+    }
+    return separators;
+}
+
+// Unit words stripped without being listed; anything else ("12 apples") is not a number
+let knownUnits = ["mg", "g", "kg", "t", "oz", "lb", "lbs", "mm", "cm", "m", "km", "in", "ft", "mi", "ml", "l", "ms", "s", "min", "h", "pcs"];
+
+// Parse a human-entered number string: "1,234.56", "1.234,56", "$99.99", "12%", "1e3 kg"
+// Returns NaN when the string is not a number
+function parseNumberString(str, options = {}) {
+    let { locale, strict = false, units = [] } = options;
+    let { decimal, group } = getNumberSeparators(locale);
+    let text = str.trim();
+    let factor = 1;
+    
+    // Currency symbols and ISO codes on either side: "$99.99", "99,99 €", "USD 10"
+    text = text.replace(/^[$€£¥₹]\s*|^[A-Z]{3}\s+/, "");
+    text = text.replace(/\s*[$€£¥₹]$|\s+[A-Z]{3}$/, "");
+    
+    // Percentages become fractions: "12%" → 0.12
+    if (text.endsWith("%")) {
+        text = text.slice(0, -1).trim();
+        factor = 0.01;
+    }
+    
+    // Units: only the listed ones in strict mode, listed or known ones otherwise
+    let unitMatch = text.match(/\s*([a-zA-Z]+)$/);
+    if (unitMatch) {
+        let allowed = strict ? units : [...units, ...knownUnits];
+        if (!allowed.includes(unitMatch[1])) return NaN;
+        text = text.slice(0, unitMatch.index);
+    }
+    
+    // Normalise to "1234.56" (grouping can be a regular or non-breaking space)
+    if (group) {
+        let groupPattern = /\s/.test(group) ? "[\\s\\u00a0\\u202f]" : group.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        
+        // Only well-formed groups of three: "1,234,567.8", not "1,2,3", "12,,34"
+        // or "1,5" (a decimal comma typed into an en-US form)
+        let [integerPart, ...fractionParts] = text.split(decimal);
+        let hasGroup = new RegExp(groupPattern);
+        if (fractionParts.some(part => hasGroup.test(part))) return NaN;
+        if (hasGroup.test(integerPart) && !new RegExp(`^[+-]?\\d{1,3}(${groupPattern}\\d{3})+$`).test(integerPart)) return NaN;
+        text = text.split(new RegExp(groupPattern, "g")).join("");
+    }
+    if (decimal !== ".") {
+        if (text.includes(".")) return NaN;
+        text = text.replace(decimal, ".");
+    }
+    
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return NaN;
+    return Number(text) * factor;
+}
+
+function toNumber(value, defaultValue = 0, options = {}){
     if(value === null || value === undefined) return defaultValue;
-    let num = Number(value);
+    let num = typeof value === "string" ? parseNumberString(value, options) : Number(value);
     if(isNaN(num) || !isFinite(num)) return defaultValue;
-    return isNaN(num) ? defaultValue : num;
+    return num;
 }
 
 // Usage
@@ -14,13 +79,43 @@ console.log(toNumber("abc", -1));          // -1
 console.log(toNumber(null));               // 0
 console.log(toNumber(undefined, 100));     // 100
 
-function toInteger(value, defaultValue = 0) {
-    let num = toNumber(value, defaultValue);
+// Locale-aware parsing
+console.log(toNumber("1,234.56"));                             // 1234.56
+console.log(toNumber("1.234,56", 0, { locale: "de-DE" }));     // 1234.56
+console.log(toNumber("1 234,56", 0, { locale: "fr-FR" }));     // 1234.56
+console.log(toNumber("1'234.5", 0, { locale: { decimal: ".", group: "'" } })); // 1234.5
+console.log(toNumber("$99.99"));                               // 99.99
+console.log(toNumber("99,99 €", 0, { locale: "de-DE" }));      // 99.99
+console.log(toNumber("12%"));                                  // 0.12
+console.log(toNumber("1e3 kg"));                               // 1000
+
+// Grouping must come in threes, so a misplaced separator never scales the number
+console.log(toNumber("1,234,567.5", -1));                     // 1234567.5
+console.log(toNumber("1,5", -1));                             // -1 (not 15)
+console.log(toNumber("1.5", -1, { locale: "de-DE" }));        // -1 ("." groups thousands in German)
+console.log(toNumber("1,2,3", -1));                           // -1
+console.log(toNumber("12,,34", -1));                          // -1
+
+// Partially numeric strings are rejected; strict mode only strips listed units
+console.log(toNumber("12abc", -1));                            // -1
+console.log(toNumber("12 apples", -1));                        // -1
+console.log(toNumber("12 apples", -1, { units: ["apples"] })); // 12
+console.log(toNumber("1e3 kg", -1, { strict: true }));         // -1
+console.log(toNumber("1e3 kg", -1, { strict: true, units: ["kg"] })); // 1000
+
+function toInteger(value, defaultValue = 0, options = {}) {
+    let num = toNumber(value, defaultValue, options);
+    // Strict mode refuses to silently drop a fractional part
+    if (options.strict && !Number.isInteger(num)) return defaultValue;
     return Math.trunc(num);
 }
 
 console.log(toInteger("123.45"));          // 123
 console.log(toInteger("abc", -1));         // -1
+console.log(toInteger("1.234", 0, { locale: "de-DE" }));      // 1234
+console.log(parseInt("12abc", 10));                           // 12 (silently accepted)
+console.log(toInteger("12abc", -1, { strict: true }));        // -1
+console.log(toInteger("12.5", -1, { strict: true }));         // -1
 
 // 2. Safe String Conversion
 
@@ -47,13 +142,41 @@ console.log(toString(null, "N/A"));        // "N/A"
 console.log(toString({name: "John"}));     // '{"name":"John"}'
 
 // 3. Safe Boolean Conversion
-function toBoolean(value, truthyStrings = ["true", "yes", "1"]) {
+
+let defaultTruthy = ["true", "yes", "y", "1", "on", "enabled"];
+let defaultFalsy = ["false", "no", "n", "0", "off", "disabled", ""];
+
+// Options: { truthy, falsy, strict } — an array is still accepted as the truthy list
+// strict: throw on strings that are in neither list instead of returning false
+function toBoolean(value, options = {}) {
+    if (Array.isArray(options)) options = { truthy: options };
+    let { truthy = defaultTruthy, falsy = defaultFalsy, strict = false } = options;
+    
     if (typeof value === "boolean") {
         return value;
     }
     
+    if (typeof value === "number") {
+        return value !== 0 && !isNaN(value);
+    }
+    
     if (typeof value === "string") {
-        return truthyStrings.includes(value.toLowerCase());
+        let normalized = value.trim().toLowerCase();
+        
+        if (truthy.map(s => s.toLowerCase()).includes(normalized)) return true;
+        if (falsy.map(s => s.toLowerCase()).includes(normalized)) return false;
+        
+        // Numeric strings follow number rules: "0", "0.0", "-0" → false, "2" → true
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return Number(normalized) !== 0;
+        
+        if (strict) {
+            throw new Error(`Cannot convert "${value}" to boolean`);
+        }
+        return false;
+    }
+    
+    if (strict && value !== null && value !== undefined) {
+        throw new Error(`Cannot convert ${typeof value} to boolean`);
     }
     
     return Boolean(value);
@@ -67,3 +190,242 @@ console.log(toBoolean("false"));           // false
 console.log(toBoolean("no"));              // false
 console.log(toBoolean(1));                 // true
 console.log(toBoolean(0));                 // false
+
+// Case and whitespace are normalised
+console.log(toBoolean("  ON "));           // true
+console.log(toBoolean("Disabled"));        // false
+
+// Numeric strings behave like numbers
+console.log(toBoolean("0.0"));             // false
+console.log(toBoolean("2"));               // true
+
+// Custom vocabularies (an array still means "truthy list")
+console.log(toBoolean("si", ["si", "sí"]));                                  // true
+console.log(toBoolean("aus", { truthy: ["an"], falsy: ["aus"], strict: true })); // false
+
+// A typo no longer silently disables a feature in strict mode
+console.log(toBoolean("ture"));            // false
+try {
+    toBoolean("ture", { strict: true });
+} catch (error) {
+    console.log(error.message);            // Cannot convert "ture" to boolean
+}
+
+// 4. Typed JSON Serialization
+// JSON.stringify turns Dates into strings, Maps/Sets into {}, drops undefined
+// and throws on BigInt. serialize() tags those values so deserialize() can
+// restore them exactly: { "$type": "Date", "value": "2024-01-01T00:00:00.000Z" }
+
+function formatJsonPath(path) {
+    return "$" + path.map(key => (typeof key === "number" ? `[${key}]` : `.${key}`)).join("");
+}
+
+// Options:
+// - classes: { Name: Class } — instances are tagged with Name; Class.fromJSON(fields) revives them if defined
+// - circular: "error" (default) throws on cycles, "ref" stores { $type: "Ref", path } and keeps shared identity
+// - space: indentation passed to JSON.stringify
+function serialize(value, options = {}) {
+    let { classes = {}, circular = "error", space } = options;
+    let seen = new Map(); // object → path where it was first written
+    
+    function encodeFields(obj, path) {
+        let fields = {};
+        for (let [key, item] of Object.entries(obj)) {
+            fields[key] = encode(item, [...path, key]);
+        }
+        return fields;
+    }
+    
+    function encodeObject(obj, path) {
+        if (obj instanceof Date) {
+            return { $type: "Date", value: isNaN(obj.getTime()) ? null : obj.toISOString() };
+        }
+        if (obj instanceof RegExp) {
+            return { $type: "RegExp", value: { source: obj.source, flags: obj.flags } };
+        }
+        if (obj instanceof Map) {
+            return {
+                $type: "Map",
+                value: [...obj].map(([key, item], i) => [encode(key, [...path, i, 0]), encode(item, [...path, i, 1])])
+            };
+        }
+        if (obj instanceof Set) {
+            return { $type: "Set", value: [...obj].map((item, i) => encode(item, [...path, i])) };
+        }
+        if (Array.isArray(obj)) {
+            return Array.from(obj, (item, i) => encode(item, [...path, i]));
+        }
+        
+        let proto = Object.getPrototypeOf(obj);
+        if (proto === Object.prototype || proto === null) {
+            let fields = encodeFields(obj, path);
+            // A plain object that happens to use "$type" must not be mistaken for a tag
+            return "$type" in obj ? { $type: "Object", value: fields } : fields;
+        }
+        
+        let className = Object.keys(classes).find(name => classes[name].prototype === proto);
+        if (!className) {
+            throw new Error(`Cannot serialize ${proto.constructor.name} at ${formatJsonPath(path)}: add it to options.classes`);
+        }
+        return { $type: className, value: encodeFields(obj, path) };
+    }
+    
+    function encode(item, path) {
+        if (item === undefined) return { $type: "undefined" };
+        if (typeof item === "bigint") return { $type: "BigInt", value: item.toString() };
+        if (typeof item === "number" && !isFinite(item)) return { $type: "Number", value: String(item) };
+        if (typeof item === "function" || typeof item === "symbol") {
+            throw new Error(`Cannot serialize ${typeof item} at ${formatJsonPath(path)}`);
+        }
+        if (typeof item !== "object" || item === null) return item;
+        
+        if (seen.has(item)) {
+            if (circular === "ref") return { $type: "Ref", path: seen.get(item) };
+            throw new Error(`Circular reference at ${formatJsonPath(path)} (back to ${formatJsonPath(seen.get(item))})`);
+        }
+        
+        seen.set(item, path);
+        try {
+            return encodeObject(item, path);
+        } finally {
+            // In "error" mode only ancestors count, so shared (non-circular) objects are fine
+            if (circular !== "ref") seen.delete(item);
+        }
+    }
+    
+    return JSON.stringify(encode(value, []), null, space);
+}
+
+// Keys that would reach the prototype chain when assigned: '{"__proto__": {...}}'
+// from a tampered file must not change what the restored object inherits
+let unsafeJsonKeys = ["__proto__", "constructor", "prototype"];
+
+function deserialize(json, options = {}) {
+    let { classes = {} } = options;
+    let decoded = new Map(); // path → restored object, for { $type: "Ref" }
+    
+    function remember(path, obj) {
+        decoded.set(JSON.stringify(path), obj);
+        return obj;
+    }
+    
+    function decodeFields(target, fields, path) {
+        for (let [key, item] of Object.entries(fields)) {
+            if (unsafeJsonKeys.includes(key)) continue;
+            target[key] = decode(item, [...path, key]);
+        }
+        return target;
+    }
+    
+    function decode(node, path) {
+        if (typeof node !== "object" || node === null) return node;
+        
+        if (Array.isArray(node)) {
+            let list = remember(path, []);
+            node.forEach((item, i) => { list[i] = decode(item, [...path, i]); });
+            return list;
+        }
+        
+        if (!("$type" in node)) return decodeFields(remember(path, {}), node, path);
+        
+        switch (node.$type) {
+            case "undefined":
+                return undefined;
+            case "BigInt":
+                return BigInt(node.value);
+            case "Number":
+                return Number(node.value);
+            case "Date":
+                return remember(path, new Date(node.value === null ? NaN : node.value));
+            case "RegExp":
+                return remember(path, new RegExp(node.value.source, node.value.flags));
+            case "Map": {
+                let map = remember(path, new Map());
+                node.value.forEach(([key, item], i) => map.set(decode(key, [...path, i, 0]), decode(item, [...path, i, 1])));
+                return map;
+            }
+            case "Set": {
+                let set = remember(path, new Set());
+                node.value.forEach((item, i) => set.add(decode(item, [...path, i])));
+                return set;
+            }
+            case "Object":
+                return decodeFields(remember(path, {}), node.value, path);
+            case "Ref": {
+                let target = decoded.get(JSON.stringify(node.path));
+                if (!target) throw new Error(`Unresolved reference to ${formatJsonPath(node.path)}`);
+                return target;
+            }
+        }
+        
+        let Class = classes[node.$type];
+        if (!Class) {
+            throw new Error(`Unknown type "${node.$type}" at ${formatJsonPath(path)}: add it to options.classes`);
+        }
+        if (typeof Class.fromJSON === "function") {
+            // Custom reviver: receives the already-decoded fields
+            return remember(path, Class.fromJSON(decodeFields({}, node.value, path)));
+        }
+        return decodeFields(remember(path, Object.create(Class.prototype)), node.value, path);
+    }
+    
+    return decode(JSON.parse(json), []);
+}
+
+// Usage
+class Temperature {
+    constructor(degrees, unit) {
+        this.degrees = degrees;
+        this.unit = unit;
+    }
+    
+    static fromJSON({ degrees, unit }) {
+        return new Temperature(degrees, unit);
+    }
+    
+    toString() {
+        return `${this.degrees}°${this.unit}`;
+    }
+}
+
+let appState = {
+    registrationDate: new Date("2024-01-15T10:30:00Z"),
+    lastLoginDate: undefined,
+    visits: new Map([["home", 3], ["cart", 1]]),
+    tags: new Set(["new", "vip"]),
+    bigId: 9007199254740993n,
+    thermostat: new Temperature(21.5, "C"),
+    filter: { $type: "user supplied" }
+};
+
+console.log(JSON.stringify(appState, (key, value) => (typeof value === "bigint" ? String(value) : value)));
+// {"registrationDate":"2024-01-15T10:30:00.000Z","visits":{},"tags":{},"bigId":"9007199254740993",...}
+
+let saved = serialize(appState, { classes: { Temperature } });
+let restored = deserialize(saved, { classes: { Temperature } });
+
+console.log(restored.registrationDate instanceof Date);   // true
+console.log("lastLoginDate" in restored);                 // true
+console.log(restored.visits.get("home"));                 // 3
+console.log(restored.tags.has("vip"));                    // true
+console.log(restored.bigId === appState.bigId);           // true
+console.log(String(restored.thermostat));                 // "21.5°C"
+console.log(restored.filter);                             // { $type: "user supplied" }
+
+// Circular references are rejected unless asked to keep them
+let node = { name: "root", children: [] };
+node.children.push({ name: "child", parent: node });
+
+try {
+    serialize(node);
+} catch (error) {
+    console.log(error.message); // Circular reference at $.children[0].parent (back to $)
+}
+
+let tree = deserialize(serialize(node, { circular: "ref" }));
+console.log(tree.children[0].parent === tree); // true
+
+// Saved state is untrusted input: prototype keys are dropped
+let tampered = deserialize('{"theme":"dark","__proto__":{"isAdmin":true}}');
+console.log(tampered.isAdmin, ({}).isAdmin, Object.getPrototypeOf(tampered) === Object.prototype); // undefined undefined true
+console.log(tampered);                         // { theme: "dark" }
@@ -1,35 +1,36 @@
+// Validation errors come from the shared module: { path, code, message, params }
+let { formatError, createError, createResult } = require("../shared/validation-errors");
+let { isEmail } = require("../shared/guards");
+
 function validateRegistration(userData) {
     let errors = [];
     
     // Name validation
     if (!userData.name || userData.name.trim().length < 2) {
-        errors.push("Name must be at least 2 characters long");
+        errors.push(createError("name", "minLength", { min: 2 }));
     }
     
     // Age validation
     if (!userData.age || userData.age < 13 || userData.age > 120) {
-        errors.push("Age must be between 13 and 120");
+        errors.push(createError("age", "range", { min: 13, max: 120 }));
     }
     
-    // Email validation (basic)
-    if (!userData.email || !userData.email.includes("@") || userData.email.length < 5) {
-        errors.push("Please provide a valid email address");
+    // Email validation
+    if (!isEmail(userData.email)) {
+        errors.push(createError("email", "email"));
     }
     
     // Password validation
     if (!userData.password || userData.password.length < 8) {
-        errors.push("Password must be at least 8 characters long");
+        errors.push(createError("password", "minLength", { min: 8 }));
     }
     
     // Terms acceptance
     if (!userData.acceptTerms) {
-        errors.push("You must accept the terms and conditions");
+        errors.push(createError("acceptTerms", "accepted"));
     }
     
-    return {
-        isValid: errors.length === 0,
-        errors: errors
-    };
+    return createResult(errors, userData);
 }
 
 // Test the validation
@@ -49,80 +50,568 @@ let user2 = {
     acceptTerms: false
 };
 
-console.log(validateRegistration(user1)); // { isValid: true, errors: [] }
-console.log(validateRegistration(user2)); // { isValid: false, errors: [...] }
+console.log(validateRegistration(user1)); // { isValid: true, errors: [], data: {...} }
+console.log(validateRegistration(user2)); // { isValid: false, errors: [...], data: {...} }
+// errors[0] → { path: "name", code: "minLength", message: "name must be at least 2 characters", params: { min: 2 } }
+
+// Highlight fields and translate messages without string matching
+let invalidFields = validateRegistration(user2).errors.map(error => error.path);
+console.log(invalidFields); // ["name", "email", "password", "acceptTerms"]
+
+let frenchMessages = {
+    minLength: "{path} doit contenir au moins {min} caractères",
+    email: "{path} doit être une adresse e-mail valide",
+    accepted: "{path} doit être accepté"
+};
+console.log(validateRegistration(user2).errors.map(error => formatError(error, frenchMessages)));
+// ["name doit contenir au moins 2 caractères", "email doit être une adresse e-mail valide", ...]
 
 
 // 2. Shopping Cart Logic
-function calculateCartTotal(items, discountCode, userType) {
-    let subtotal = 0;
-    let itemCount = 0;
+
+// Money: an integer amount of minor units (cents) plus a currency code,
+// with explicit rounding on every multiplication (see shared/money.js)
+let {
+    createMoney, money, addMoney, subtractMoney, sumMoney, minMoney,
+    multiplyMoney, percentOf, toDecimal, formatMoney, allocateMoney
+} = require("../shared/money");
+
+// Promotions are data instead of if/else chains
+// {
+//   id, label,
+//   type: "percentage" | "fixed" | "buyXGetY" | "tiered",
+//   value,                          percentage: percent off, fixed: amount off
+//   buy, get,                       buyXGetY: buy `buy` units, get `get` free (per line)
+//   basis, tiers,                   tiered: basis "spend" | "quantity", tiers [{ min, percent | amount }]
+//   code, userTypes, categories,    conditions (all optional)
+//   startsAt, expiresAt,            ISO dates (optional)
+//   stackable,                      false = can't be combined with any other promotion
+//   priority                        higher applies first and wins ties
+// }
+let defaultPromotions = [
+    {
+        id: "BULK", label: "Bulk discount", type: "tiered", basis: "quantity",
+        tiers: [{ min: 5, percent: 5 }, { min: 10, percent: 10 }], stackable: false, priority: 1
+    },
+    { id: "SAVE20", label: "20% off with SAVE20", type: "percentage", value: 20, code: "SAVE20", stackable: false, priority: 2 },
+    { id: "SAVE10", label: "10% off with SAVE10", type: "percentage", value: 10, code: "SAVE10", stackable: false, priority: 2 },
+    { id: "PREMIUM", label: "Premium member discount", type: "percentage", value: 15, userTypes: ["premium"], stackable: false, priority: 1 },
+    { id: "STUDENT", label: "Student discount", type: "percentage", value: 10, userTypes: ["student"], stackable: false, priority: 1 }
+];
+
+// Items a promotion applies to (all items unless it is limited to categories)
+function eligibleItems(promotion, items) {
+    if (!promotion.categories) return items;
+    return items.filter(item => promotion.categories.includes(item.category));
+}
+
+function isPromotionActive(promotion, { discountCode, userType, now }) {
+    if (promotion.code && promotion.code !== discountCode) return false;
+    if (promotion.userTypes && !promotion.userTypes.includes(userType)) return false;
+    if (promotion.startsAt && now < new Date(promotion.startsAt)) return false;
+    if (promotion.expiresAt && now > new Date(promotion.expiresAt)) return false;
+    return true;
+}
+
+// Discount of one promotion on its own (before stacking/capping)
+// Items carry `unitPrice` and `lineTotal` as Money
+function promotionAmount(promotion, items, currency, rounding) {
+    let lines = eligibleItems(promotion, items);
+    let eligibleSubtotal = sumMoney(lines.map(item => item.lineTotal), currency);
+    let eligibleQuantity = lines.reduce((sum, item) => sum + item.quantity, 0);
     
-    // Calculate subtotal
-    for (let item of items) {
-        if (item.quantity > 0 && item.price > 0) {
-            subtotal += item.price * item.quantity;
-            itemCount += item.quantity;
+    switch (promotion.type) {
+        case "percentage":
+            return percentOf(eligibleSubtotal, promotion.value, rounding);
+            
+        case "fixed":
+            return minMoney(money(promotion.value, currency), eligibleSubtotal);
+            
+        case "buyXGetY":
+            // Every group of (buy + get) units on a line gets `get` units free
+            return sumMoney(lines.map(item => {
+                let freeUnits = Math.floor(item.quantity / (promotion.buy + promotion.get)) * promotion.get;
+                return multiplyMoney(item.unitPrice, freeUnits);
+            }), currency);
+            
+        case "tiered": {
+            let measure = promotion.basis === "quantity" ? eligibleQuantity : toDecimal(eligibleSubtotal);
+            let tier = promotion.tiers
+                .filter(t => measure >= t.min)
+                .sort((a, b) => b.min - a.min)[0];
+            if (!tier) return createMoney(0, currency);
+            return tier.percent !== undefined
+                ? percentOf(eligibleSubtotal, tier.percent, rounding)
+                : minMoney(money(tier.amount, currency), eligibleSubtotal);
         }
+            
+        default:
+            return createMoney(0, currency);
+    }
+}
+
+// Pick the promotions to apply: either all stackable ones together, or the
+// single best non-stackable one — whichever saves the customer more
+function applyPromotions(items, promotions, context) {
+    let { currency, rounding } = context;
+    let subtotal = sumMoney(items.map(item => item.lineTotal), currency);
+    
+    let candidates = promotions
+        .filter(promotion => isPromotionActive(promotion, context))
+        .map(promotion => ({ promotion, amount: promotionAmount(promotion, items, currency, rounding) }))
+        .filter(candidate => candidate.amount.minor > 0)
+        .sort((a, b) => (b.promotion.priority || 0) - (a.promotion.priority || 0));
+    
+    // Stackable promotions apply in priority order; the total never exceeds the subtotal
+    let stacked = [];
+    let remaining = subtotal;
+    for (let { promotion, amount } of candidates.filter(c => c.promotion.stackable)) {
+        let applied = minMoney(amount, remaining);
+        remaining = subtractMoney(remaining, applied);
+        stacked.push({ id: promotion.id, label: promotion.label, amount: applied });
     }
     
-    // Apply quantity discount
-    let quantityDiscount = 0;
-    if (itemCount >= 10) {
-        quantityDiscount = subtotal * 0.1; // 10% discount for 10+ items
-    } else if (itemCount >= 5) {
-        quantityDiscount = subtotal * 0.05; // 5% discount for 5+ items
+    let options = [stacked];
+    for (let { promotion, amount } of candidates.filter(c => !c.promotion.stackable)) {
+        options.push([{ id: promotion.id, label: promotion.label, amount: minMoney(amount, subtotal) }]);
     }
     
-    // Apply discount code
-    let codeDiscount = 0;
-    if (discountCode === "SAVE20") {
-        codeDiscount = subtotal * 0.2;
-    } else if (discountCode === "SAVE10") {
-        codeDiscount = subtotal * 0.1;
+    let total = applied => sumMoney(applied.map(entry => entry.amount), currency).minor;
+    // Ties keep the earlier (higher priority) option
+    return options.reduce((best, option) => (total(option) > total(best) ? option : best));
+}
+
+// Tax: region tables, exemptions, inclusive prices and compound taxes (see shared/tax.js)
+let { calculateTax } = require("../shared/tax");
+
+// Spread each applied promotion over the lines it was calculated on,
+// so tax is charged on what the customer actually pays per line
+function allocateDiscounts(items, appliedPromotions, promotions, currency) {
+    let lineDiscounts = items.map(() => createMoney(0, currency));
+    
+    for (let applied of appliedPromotions) {
+        let promotion = promotions.find(p => p.id === applied.id);
+        let eligible = eligibleItems(promotion, items);
+        let parts = allocateMoney(applied.amount, items.map(item => (eligible.includes(item) ? item.lineTotal.minor : 0)));
+        parts.forEach((part, index) => { lineDiscounts[index] = addMoney(lineDiscounts[index], part); });
     }
     
-    // Apply user type discount
-    let userDiscount = 0;
-    if (userType === "premium") {
-        userDiscount = subtotal * 0.15;
-    } else if (userType === "student") {
-        userDiscount = subtotal * 0.1;
+    return lineDiscounts;
+}
+
+// Shipping: carrier rate tables, dimensional weight, free-shipping thresholds
+// and membership perks (see shared/shipping.js)
+let { quoteShipping } = require("../shared/shipping");
+
+// Prices come in as decimals, all arithmetic happens on Money (integer cents)
+// The returned numbers always reconcile: total = subtotal - discount + tax + shipping
+// (with tax-inclusive prices the tax is already part of the subtotal)
+// options.region: { country, state } picks the tax table; omitted → flat 8%
+// options.destination: { zone } quotes carriers on item weights and sizes,
+// options.shippingMethod picks one of the quotes (default: the cheapest);
+// without a destination the old $10-under-$100 rule applies
+function calculateCartTotal(items, discountCode, userType, options = {}) {
+    let { promotions = defaultPromotions, now = new Date(), currency = "USD", rounding = "halfUp", region, destination, shippingMethod } = options;
+    let itemCount = 0;
+    let validItems = [];
+    
+    // Calculate subtotal
+    for (let item of items) {
+        if (item.quantity > 0 && item.price > 0) {
+            let unitPrice = money(item.price, currency);
+            validItems.push({ ...item, unitPrice, lineTotal: multiplyMoney(unitPrice, item.quantity) });
+            itemCount += item.quantity;
+        }
     }
+    let subtotal = sumMoney(validItems.map(item => item.lineTotal), currency);
     
-    // Take the best discount (not cumulative)
-    let bestDiscount = Math.max(quantityDiscount, codeDiscount, userDiscount);
+    // Apply promotions
+    let appliedPromotions = applyPromotions(validItems, promotions, { discountCode, userType, now, currency, rounding });
+    let discount = sumMoney(appliedPromotions.map(promotion => promotion.amount), currency);
     
-    // Calculate tax
-    let taxableAmount = subtotal - bestDiscount;
-    let tax = taxableAmount * 0.08; // 8% tax
+    // Calculate tax per line, after discounts
+    let lineDiscounts = allocateDiscounts(validItems, appliedPromotions, promotions, currency);
+    let taxResult = calculateTax(validItems.map((item, index) => ({
+        name: item.name,
+        category: item.category,
+        amount: subtractMoney(item.lineTotal, lineDiscounts[index])
+    })), region, { currency, rounding });
+    let tax = taxResult.tax;
+    
+    let afterDiscount = subtractMoney(subtotal, discount);
     
     // Calculate shipping
-    let shipping = 0;
-    if (subtotal < 100 && itemCount > 0) {
-        shipping = 10; // $10 shipping for orders under $100
+    let shipping = createMoney(0, currency);
+    let shippingOptions = [];
+    let selectedShipping = null;
+    if (destination && itemCount > 0) {
+        shippingOptions = quoteShipping(validItems, destination, { userType, orderValue: afterDiscount, currency, rounding, now });
+        selectedShipping = shippingMethod
+            ? shippingOptions.find(option => option.id === shippingMethod)
+            : shippingOptions[0];
+        if (!selectedShipping) {
+            throw new Error(`No shipping option "${shippingMethod || "any"}" for zone ${destination.zone}`);
+        }
+        shipping = selectedShipping.price;
+    } else if (toDecimal(subtotal) < 100 && itemCount > 0) {
+        shipping = money(10, currency); // $10 shipping for orders under $100
     }
     
-    let total = subtotal - bestDiscount + tax + shipping;
+    let total = taxResult.pricesIncludeTax
+        ? addMoney(afterDiscount, shipping)
+        : sumMoney([afterDiscount, tax, shipping], currency);
     
     return {
-        subtotal: Number(subtotal.toFixed(2)),
-        discount: Number(bestDiscount.toFixed(2)),
-        tax: Number(tax.toFixed(2)),
-        shipping: Number(shipping.toFixed(2)),
-        total: Number(total.toFixed(2)),
-        itemCount: itemCount
+        lines: validItems.map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            unitPrice: toDecimal(item.unitPrice),
+            lineTotal: toDecimal(item.lineTotal)
+        })),
+        subtotal: toDecimal(subtotal),
+        discount: toDecimal(discount),
+        promotions: appliedPromotions.map(promotion => ({ ...promotion, amount: toDecimal(promotion.amount) })),
+        tax: toDecimal(tax),
+        taxIncluded: taxResult.pricesIncludeTax,
+        taxes: taxResult.byTax.map(entry => ({ ...entry, amount: toDecimal(entry.amount) })),
+        taxLines: taxResult.lines.map(line => ({
+            name: line.name,
+            category: line.category,
+            net: toDecimal(line.net),
+            tax: toDecimal(line.tax),
+            gross: toDecimal(line.gross)
+        })),
+        shipping: toDecimal(shipping),
+        shippingMethod: selectedShipping && selectedShipping.id,
+        shippingOptions: shippingOptions.map(option => ({ ...option, price: toDecimal(option.price) })),
+        total: toDecimal(total),
+        itemCount: itemCount,
+        currency: currency
     };
 }
 
 // Test the cart calculation
 let cartItems = [
-    { name: "Laptop", price: 999, quantity: 1 },
-    { name: "Mouse", price: 25, quantity: 2 },
-    { name: "Keyboard", price: 75, quantity: 1 }
+    { name: "Laptop", price: 999, quantity: 1, category: "electronics" },
+    { name: "Mouse", price: 25, quantity: 2, category: "accessories" },
+    { name: "Keyboard", price: 75, quantity: 1, category: "accessories" }
 ];
 
 console.log(calculateCartTotal(cartItems, "SAVE20", "premium"));
+// { lines: [...], subtotal: 1124, discount: 224.8, promotions: [...], tax: 71.94, taxIncluded: false, taxes: [...], taxLines: [...], shipping: 0, shippingMethod: null, shippingOptions: [], total: 971.14, itemCount: 4, currency: "USD" }
+
+// Money arithmetic
+console.log(0.1 + 0.2);                                              // 0.30000000000000004
+console.log(formatMoney(addMoney(money(0.1), money(0.2))));          // "$0.30"
+console.log(money(0.125).minor);                                    // 13 (rounded once, on creation)
+console.log(percentOf(money(2.5), 1, "halfUp").minor);               // 3  (2.5 cents → 3)
+console.log(percentOf(money(2.5), 1, "halfEven").minor);             // 2  (banker's: 2.5 cents → 2)
+console.log(formatMoney(money(1234.5, "EUR"), "de-DE"));             // "1.234,50 €"
+console.log(money(1500, "JPY"));                                     // { minor: 1500, currency: "JPY" }
+
+// Large carts still reconcile to the cent
+let manyLines = Array.from({ length: 250 }, (_, i) => ({ name: `Item ${i}`, price: 19.99, quantity: 3 }));
+let floatSubtotal = manyLines.reduce((sum, item) => sum + item.price * item.quantity, 0);
+let bigTotals = calculateCartTotal(manyLines, "SAVE10", "regular");
+console.log(floatSubtotal);                  // 14992.499999999936 (float drift)
+console.log(bigTotals.subtotal);             // 14992.5
+console.log(money(bigTotals.subtotal).minor - money(bigTotals.discount).minor + money(bigTotals.tax).minor +
+    money(bigTotals.shipping).minor === money(bigTotals.total).minor); // true
+
+// Custom promotions: stacking, category limits, buy-X-get-Y, spend tiers and expiry
+let seasonalPromotions = [
+    {
+        id: "MICE3FOR2", label: "Mice: buy 2 get 1 free", type: "buyXGetY", buy: 2, get: 1,
+        categories: ["accessories"], stackable: true, priority: 3
+    },
+    {
+        id: "TECH10", label: "10% off electronics", type: "percentage", value: 10,
+        categories: ["electronics"], stackable: true, priority: 2
+    },
+    {
+        id: "SPEND", label: "Spend more, save more", type: "tiered", basis: "spend",
+        tiers: [{ min: 500, amount: 25 }, { min: 1000, amount: 75 }], stackable: true, priority: 1
+    },
+    {
+        id: "FLASH50", label: "Flash sale", type: "fixed", value: 50,
+        expiresAt: "2020-01-01", stackable: true, priority: 5
+    },
+    {
+        id: "VIP30", label: "VIP 30% (cannot be combined)", type: "percentage", value: 30,
+        code: "VIP30", stackable: false, priority: 4
+    }
+];
+
+let bigCart = [
+    { name: "Laptop", price: 999, quantity: 1, category: "electronics" },
+    { name: "Mouse", price: 25, quantity: 3, category: "accessories" }
+];
+
+console.log(calculateCartTotal(bigCart, null, "regular", { promotions: seasonalPromotions }).promotions);
+// [
+//   { id: "MICE3FOR2", label: "Mice: buy 2 get 1 free", amount: 25 },
+//   { id: "TECH10", label: "10% off electronics", amount: 99.9 },
+//   { id: "SPEND", label: "Spend more, save more", amount: 75 }
+// ]   (FLASH50 has expired)
+
+console.log(calculateCartTotal(bigCart, "VIP30", "regular", { promotions: seasonalPromotions }).promotions);
+// [{ id: "VIP30", label: "VIP 30% (cannot be combined)", amount: 322.2 }]   (beats the 199.9 stack)
+
+// Region-aware tax: exemptions, per-category rates, inclusive prices and compound taxes
+let groceryCart = [
+    { name: "Coffee beans", price: 18, quantity: 2, category: "groceries" },
+    { name: "T-Shirt", price: 25, quantity: 2, category: "clothing" },
+    { name: "Headphones", price: 120, quantity: 1, category: "electronics" }
+];
+
+let nyTotals = calculateCartTotal(groceryCart, "SAVE10", "regular", { region: { country: "US", state: "NY" } });
+console.log(nyTotals.taxLines);
+// [
+//   { name: "Coffee beans", category: "groceries", net: 32.4, tax: 0, gross: 32.4 },      (exempt)
+//   { name: "T-Shirt", category: "clothing", net: 45, tax: 0, gross: 45 },                 (clothing rates are 0)
+//   { name: "Headphones", category: "electronics", net: 108, tax: 9.18, gross: 117.18 }   (4% + 4.5% after the 10% discount)
+// ]
+console.log(nyTotals.taxes);
+// [{ id: "state", label: "NY state tax", rate: 0.04, amount: 4.32 }, { id: "city", label: "NYC tax", rate: 0.045, amount: 4.86 }]
+
+let deTotals = calculateCartTotal(groceryCart, null, "regular", { region: { country: "DE" }, currency: "EUR" });
+console.log(deTotals.taxIncluded, deTotals.tax, deTotals.total);
+// true 28.02 195.7   (5% bulk discount, then 7% on groceries and 19% on the rest, already inside the prices)
+
+let peTotals = calculateCartTotal([{ name: "Desk", price: 200, quantity: 1 }], null, "regular", { region: { country: "CA", state: "PE" } });
+console.log(peTotals.taxes);
+// [{ id: "gst", label: "GST", rate: 0.05, amount: 10 }, { id: "pst", label: "PST", rate: 0.1, amount: 21 }]   (PST on 210)
+
+// Shipping quoted from what is actually in the box
+let parcelCart = [
+    { name: "Books", price: 20, quantity: 2, weightKg: 1.2, dimensionsCm: { length: 30, width: 20, height: 10 } },
+    { name: "Pillow", price: 40, quantity: 1, weightKg: 0.5, dimensionsCm: { length: 50, width: 40, height: 20 } }
+];
+let shippingNow = new Date("2024-03-01T10:00:00"); // a Friday
+
+let parcelTotals = calculateCartTotal(parcelCart, null, "regular", { destination: { zone: "domestic" }, now: shippingNow });
+console.log(parcelTotals.shippingOptions.map(option => `${option.id}: ${option.price} (${option.billableWeightKg} kg, by ${option.deliveryWindow.latest.toDateString()})`));
+// ["postal/standard: 14.4 (9 kg, by Fri Mar 08 2024)", "fastship/express: 38.25 (10.5 kg, by Tue Mar 05 2024)"]
+console.log(parcelTotals.shippingMethod, parcelTotals.shipping, parcelTotals.total);
+// postal/standard 14.4 100.8
+
+let expressTotals = calculateCartTotal(parcelCart, null, "premium", { destination: { zone: "domestic" }, shippingMethod: "fastship/express", now: shippingNow });
+console.log(expressTotals.shippingOptions.map(option => [option.id, option.price, option.reason]));
+// [["postal/standard", 0, "membership"], ["fastship/express", 30.6, "membershipDiscount"]]
+console.log(expressTotals.shipping); // 30.6
+
+try {
+    calculateCartTotal(cartItems, null, "regular", { destination: { zone: "domestic" } });
+} catch (error) {
+    console.log(error.message); // "Cannot quote shipping for Laptop: it has no weightKg or dimensionsCm"
+}
+
+// Invoices: one data model built from calculateCartTotal's result,
+// rendered as plain text, Markdown or a standalone HTML page
+// "INV-2024-0001": year + sequence number. The year is taken in UTC, like the
+// printed date, so an invoice from New Year's Eve never gets next year's number
+function formatInvoiceNumber(date, sequence) {
+    return `INV-${date.getUTCFullYear()}-${String(sequence).padStart(4, "0")}`;
+}
+
+// billTo: { name, street, city, postalCode, country }
+// The caller passes either a ready `number` or the next `sequence` from its
+// invoice store; a counter kept here would restart at 0001 on every run
+function createInvoice(totals, { billTo, date = new Date(), sequence, number, locale = "en-US" }) {
+    if (number === undefined) {
+        if (!Number.isInteger(sequence) || sequence < 1) {
+            throw new Error("createInvoice needs a number or a positive integer sequence");
+        }
+        number = formatInvoiceNumber(date, sequence);
+    }
+    let format = value => formatMoney(money(value, totals.currency), locale);
+    
+    return {
+        number,
+        date: new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(date),
+        billTo: [billTo.name, billTo.street, `${billTo.postalCode} ${billTo.city}`, billTo.country].filter(Boolean),
+        lines: totals.lines.map(line => ({
+            description: line.name,
+            quantity: String(line.quantity),
+            unitPrice: format(line.unitPrice),
+            amount: format(line.lineTotal)
+        })),
+        discounts: totals.promotions.map(promotion => ({ label: promotion.label, amount: format(-promotion.amount) })),
+        taxes: totals.taxes.map(entry => ({
+            label: `${entry.label} (${+(entry.rate * 100).toFixed(3)}%)${totals.taxIncluded ? " incl." : ""}`,
+            amount: format(entry.amount)
+        })),
+        summary: [
+            { label: "Subtotal", amount: format(totals.subtotal) },
+            { label: "Discount", amount: format(-totals.discount) },
+            { label: totals.taxIncluded ? "Tax (included)" : "Tax", amount: format(totals.tax) },
+            { label: "Shipping", amount: format(totals.shipping) },
+            { label: "Total", amount: format(totals.total) }
+        ]
+    };
+}
+
+function renderInvoiceText(invoice, width = 56) {
+    // Long labels are cut with "…" so the amounts stay aligned inside the width
+    let row = (left, right) => {
+        let room = Math.max(width - right.length - 1, 1);
+        if (left.length > room) left = left.slice(0, room - 1) + "…";
+        return left.padEnd(width - right.length) + right;
+    };
+    let rule = "-".repeat(width);
+    let lines = [`INVOICE ${invoice.number}`, `Date: ${invoice.date}`, "", "Bill to:", ...invoice.billTo, "", rule];
+    
+    for (let line of invoice.lines) {
+        let detail = `${line.quantity} x ${line.unitPrice}`;
+        lines.push(row(line.description, `${detail.padStart(16)}${line.amount.padStart(14)}`));
+    }
+    lines.push(rule);
+    invoice.discounts.forEach(discount => lines.push(row(discount.label, discount.amount)));
+    invoice.taxes.forEach(tax => lines.push(row(tax.label, tax.amount)));
+    if (invoice.discounts.length || invoice.taxes.length) lines.push(rule);
+    invoice.summary.forEach(entry => lines.push(row(entry.label, entry.amount)));
+    
+    return lines.join("\n");
+}
+
+function renderInvoiceMarkdown(invoice) {
+    // Pipes inside cells would break the table
+    let cell = value => String(value).replace(/\|/g, "\\|");
+    let lines = [
+        `# Invoice ${invoice.number}`,
+        "",
+        `**Date:** ${invoice.date}`,
+        "",
+        "**Bill to:**  ",
+        invoice.billTo.map(cell).join("  \n"),
+        "",
+        "| Item | Qty | Unit price | Amount |",
+        "| --- | ---: | ---: | ---: |",
+        ...invoice.lines.map(line => `| ${cell(line.description)} | ${line.quantity} | ${line.unitPrice} | ${line.amount} |`),
+        "",
+        "| | |",
+        "| --- | ---: |",
+        ...invoice.discounts.map(discount => `| ${cell(discount.label)} | ${discount.amount} |`),
+        ...invoice.taxes.map(tax => `| ${cell(tax.label)} | ${tax.amount} |`),
+        ...invoice.summary.map(entry => entry.label === "Total"
+            ? `| **${entry.label}** | **${entry.amount}** |`
+            : `| ${entry.label} | ${entry.amount} |`)
+    ];
+    return lines.join("\n");
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Standalone page with inline styles, safe to attach to an email or archive
+function renderInvoiceHtml(invoice) {
+    let amountRow = (label, amount, tag = "td") =>
+        `<tr><${tag} colspan="3">${escapeHtml(label)}</${tag}><${tag} class="num">${escapeHtml(amount)}</${tag}></tr>`;
+    let itemRows = invoice.lines.map(line =>
+        `<tr><td>${escapeHtml(line.description)}</td><td class="num">${line.quantity}</td>` +
+        `<td class="num">${escapeHtml(line.unitPrice)}</td><td class="num">${escapeHtml(line.amount)}</td></tr>`);
+    let totalRows = [
+        ...invoice.discounts.map(discount => amountRow(discount.label, discount.amount)),
+        ...invoice.taxes.map(tax => amountRow(tax.label, tax.amount)),
+        ...invoice.summary.map(entry => amountRow(entry.label, entry.amount, entry.label === "Total" ? "th" : "td"))
+    ];
+    
+    return [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        `<title>Invoice ${escapeHtml(invoice.number)}</title>`,
+        "<style>body{font-family:sans-serif;max-width:40em;margin:2em auto}table{width:100%;border-collapse:collapse}" +
+            "td,th{padding:4px 8px;border-bottom:1px solid #ddd;text-align:left}.num{text-align:right}</style>",
+        "</head>",
+        "<body>",
+        `<h1>Invoice ${escapeHtml(invoice.number)}</h1>`,
+        `<p>Date: ${escapeHtml(invoice.date)}</p>`,
+        `<address>${invoice.billTo.map(escapeHtml).join("<br>")}</address>`,
+        "<table>",
+        "<thead><tr><th>Item</th><th class=\"num\">Qty</th><th class=\"num\">Unit price</th><th class=\"num\">Amount</th></tr></thead>",
+        `<tbody>${itemRows.join("")}</tbody>`,
+        `<tfoot>${totalRows.join("")}</tfoot>`,
+        "</table>",
+        "</body>",
+        "</html>"
+    ].join("\n");
+}
+
+function renderInvoice(invoice, format = "text") {
+    switch (format) {
+        case "text": return renderInvoiceText(invoice);
+        case "markdown": return renderInvoiceMarkdown(invoice);
+        case "html": return renderInvoiceHtml(invoice);
+        default: throw new Error(`Unknown invoice format "${format}"`);
+    }
+}
+
+let receipt = createInvoice(nyTotals, {
+    billTo: { name: "Jane Doe", street: "350 5th Ave", city: "New York, NY", postalCode: "10118", country: "USA" },
+    date: new Date("2024-03-01T12:00:00Z"),
+    sequence: 1
+});
+console.log(renderInvoice(receipt, "text"));
+// INVOICE INV-2024-0001
+// Date: March 1, 2024
+//
+// Bill to:
+// Jane Doe
+// 350 5th Ave
+// 10118 New York, NY
+// USA
+//
+// --------------------------------------------------------
+// Coffee beans                    2 x $18.00        $36.00
+// T-Shirt                         2 x $25.00        $50.00
+// Headphones                     1 x $120.00       $120.00
+// --------------------------------------------------------
+// 10% off with SAVE10                              -$20.60
+// NY state tax (4%)                                  $4.32
+// NYC tax (4.5%)                                     $4.86
+// --------------------------------------------------------
+// Subtotal                                         $206.00
+// Discount                                         -$20.60
+// Tax                                                $9.18
+// Shipping                                           $0.00
+// Total                                            $194.58
+console.log(renderInvoice(receipt, "markdown").split("\n").filter(line => /^\| (Coffee|\*\*Total)/.test(line)));
+// ["| Coffee beans | 2 | $18.00 | $36.00 |", "| **Total** | **$194.58** |"]
+console.log(renderInvoice(receipt, "html").startsWith("<!DOCTYPE html>")); // true
+let bulkReceipt = {
+    ...receipt,
+    lines: [{ description: "Extra long product description here", quantity: 12, unitPrice: "$1,234.56", amount: "$14,814.72" }]
+};
+let bulkRow = renderInvoiceText(bulkReceipt).split("\n").find(line => line.startsWith("Extra"));
+console.log(bulkRow, bulkRow.length);
+// Extra long product descr…   12 x $1,234.56    $14,814.72 56
+
+let euroReceipt = createInvoice(deTotals, {
+    billTo: { name: "Max <Muster>", street: "Hauptstr. 1", city: "Berlin", postalCode: "10115", country: "DE" },
+    date: new Date("2024-03-01T12:00:00Z"),
+    sequence: 2,
+    locale: "de-DE"
+});
+console.log(euroReceipt.number, euroReceipt.date, euroReceipt.summary[4].amount); // INV-2024-0002 1. März 2024 195,70 €
+console.log(renderInvoiceHtml(euroReceipt).includes("Max &lt;Muster&gt;"));      // true
+
+// 11:30pm in New York on Dec 31 is already Jan 1 in UTC: number and date agree
+let newYearReceipt = createInvoice(nyTotals, { billTo: { name: "Jane Doe" }, date: new Date("2024-12-31T23:30:00-05:00"), sequence: 1 });
+console.log(newYearReceipt.number, newYearReceipt.date); // INV-2025-0001 January 1, 2025
+
+try {
+    createInvoice(nyTotals, { billTo: { name: "Jane Doe" } });
+} catch (error) {
+    console.log(error.message); // "createInvoice needs a number or a positive integer sequence"
+}
 
 // 3. Game Score Calculator
 function calculateGameScore(player) {
@@ -101,3 +101,31 @@ console.log(evaluateConditions([true, true, false], "AND"));  // false
 console.log(evaluateConditions([true, true, false], "OR"));   // true
 console.log(evaluateConditions([true, false], "XOR"));        // true
 console.log(evaluateConditions([true, true], "XOR"));         // false
+
+// Exercise 4: Multi-key comparator builder
+// sortBy(list, keys) returns a sorted copy; compareBy(keys) builds the
+// comparator for Array.prototype.sort (see shared/sort.js for the key options)
+let { sortBy } = require("../shared/sort");
+
+// Test the sorter
+let people = [
+    { name: "item10", age: 30 },
+    { name: "Émile", age: 25 },
+    { name: "item2", age: 30 },
+    { name: "zoe", age: null },
+    { name: "adam", age: 25 }
+];
+
+console.log(sortBy(people, [{ key: "age", dir: "desc" }, { key: "name", collation: "natural" }]).map(p => p.name));
+// ["item2", "item10", "adam", "Émile", "zoe"]
+
+console.log(sortBy(people, [{ key: "age", nulls: "first" }, "name"]).map(p => p.name));
+// ["zoe", "adam", "Émile", "item10", "item2"]
+
+// Collator options: case-first ordering, Swedish alphabet puts "ä" after "z"
+console.log(sortBy(["b", "B", "a", "A"], [{ key: x => x, collator: { caseFirst: "upper" } }]));
+// ["A", "a", "B", "b"]
+console.log(sortBy(["ä", "z", "a"], [{ key: x => x, locale: "sv" }]));
+// ["a", "z", "ä"]
+
+console.log(people[0].name); // "item10" (original order untouched)
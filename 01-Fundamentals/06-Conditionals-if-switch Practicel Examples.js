@@ -1,15 +1,20 @@
 
 // Form Validation
+let { createError, createResult } = require("../shared/validation-errors");
+let { isEmail } = require("../shared/guards");
+
 function validateForm(data) {
-    if (!data.email || !data.email.includes("@")) {
-        return { valid: false, error: "Invalid email" };
+    let errors = [];
+    
+    if (!isEmail(data.email)) {
+        errors.push(createError("email", "email"));
     }
     
     if (!data.password || data.password.length < 8) {
-        return { valid: false, error: "Password too short" };
+        errors.push(createError("password", "minLength", { min: 8 }));
     }
     
-    return { valid: true, error: null };
+    return createResult(errors, data);
 }
 
 // Run form validation
@@ -20,6 +25,10 @@ let formData = {
 
 let formResult = validateForm(formData);
 console.log("Form Validation Result:", formResult);
+// { isValid: false, errors: [{ path: "email", code: "email", message: "email must be a valid email", params: {} }], data: {...} }
+
+console.log(validateForm({ email: "john", password: "123" }).errors.map(error => error.message));
+// ["email must be a valid email", "password must be at least 8 characters"]
 
 
 // Shopping Cart Logic
@@ -48,6 +57,58 @@ console.log("Shipping (Premium, $80):", shipping2);
 console.log("Shipping (Guest, $50):", shipping3);
 
 
+// Shipping Rate Calculator
+// calculateShipping() above only looks at the order total; real rates depend on
+// what is shipped (weight and box size), where it goes and which carrier takes it.
+// quoteShipping() is the calculator the cart uses: it walks every carrier and
+// service, skips the ones that can't take the parcel (zone, min/max weight), and
+// picks the price with if/else: free-shipping threshold, free for members, member discount
+let { quoteShipping } = require("../shared/shipping");
+let { money, formatMoney } = require("../shared/money");
+
+function calculateShippingOptions(order, zone, userType = "guest", options = {}) {
+    return quoteShipping(order.items, { zone }, { ...options, userType, orderValue: money(order.total) });
+}
+
+// Run shipping options
+let parcelOrder = {
+    total: 80,
+    items: [
+        { name: "Books", weightKg: 1.2, dimensionsCm: { length: 30, width: 20, height: 10 }, quantity: 2 },
+        { name: "Pillow", weightKg: 0.5, dimensionsCm: { length: 50, width: 40, height: 20 }, quantity: 1 }  // Light but bulky
+    ]
+};
+
+let shippingNow = new Date("2024-03-01T10:00:00"); // a Friday
+for (let option of calculateShippingOptions(parcelOrder, "domestic", "regular", { now: shippingNow })) {
+    let { earliest, latest } = option.deliveryWindow;
+    console.log(`${option.carrier} ${option.service}: ${formatMoney(option.price)} (${option.billableWeightKg} kg), ${earliest.toDateString()} – ${latest.toDateString()}`);
+}
+// Postal Service Standard: $14.40 (9 kg), Wed Mar 06 2024 – Fri Mar 08 2024
+// FastShip Express: $38.25 (10.5 kg), Mon Mar 04 2024 – Tue Mar 05 2024
+
+console.log(calculateShippingOptions(parcelOrder, "domestic", "premium", { now: shippingNow }).map(o => `${o.id}: ${formatMoney(o.price)} (${o.reason})`));
+// ["postal/standard: $0.00 (membership)", "fastship/express: $30.60 (membershipDiscount)"]
+
+console.log(calculateShippingOptions({ ...parcelOrder, total: 150 }, "international", "regular", { now: shippingNow }).map(o => o.id));
+// ["postal/standard", "fastship/express"]   (no free-shipping threshold abroad)
+
+let heavyOrder = { total: 600, items: [{ name: "Dumbbells", weightKg: 12, dimensionsCm: { length: 40, width: 20, height: 20 }, quantity: 2 }] };
+console.log(calculateShippingOptions(heavyOrder, "domestic", "regular", { now: shippingNow }).map(o => `${o.id}: ${formatMoney(o.price)}`));
+// ["postal/standard: $0.00", "fastship/freight: $54.40", "fastship/express: $72.00"]   (postal is free over $100)
+
+// Items without dimensions are billed on their actual weight
+console.log(calculateShippingOptions({ total: 10, items: [{ quantity: 1, weightKg: 0.1 }] }, "domestic").map(o => o.billableWeightKg));
+// [0.5, 0.5]
+
+// ...but an item with neither weight nor dimensions can't be priced
+try {
+    calculateShippingOptions({ total: 10, items: [{ name: "Lamp", quantity: 1 }] }, "domestic");
+} catch (error) {
+    console.log(error.message); // "Cannot quote shipping for Lamp: it has no weightKg or dimensionsCm"
+}
+
+
 // Game Logic
 function checkGameResult(playerScore, computerScore) {
     if (playerScore > computerScore) {
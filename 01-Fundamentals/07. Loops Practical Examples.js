@@ -32,10 +32,13 @@ function multiplicationTable(n) {
 multiplicationTable(5);
 
 // Processing shopping cart
-function calculateTotal(cart){
-    let total = 0;
+// Prices are summed as integer minor units ({ minor, currency }), so the loop never drifts
+let { money, addMoney, multiplyMoney, formatMoney } = require("../shared/money");
+
+function calculateTotal(cart, currency = "USD", rounding = "halfUp"){
+    let total = money(0, currency);
     for(let item of cart) {
-        total += item.price * item.quantity;
+        total = addMoney(total, multiplyMoney(money(item.price, currency, rounding), item.quantity, rounding));
     }
     return total;
 }
@@ -53,7 +56,17 @@ let cart = [
     }
 ]
 
-console.log(calculateTotal(cart));
+console.log(calculateTotal(cart));                 // { minor: 8997, currency: "USD" }
+console.log(formatMoney(calculateTotal(cart)));    // "$89.97"
+
+// 1,000 lines of $0.10: floats drift, cents don't
+let pennies = Array.from({ length: 1000 }, () => ({ price: 0.1, quantity: 1 }));
+let floatTotal = 0;
+for(let item of pennies) {
+    floatTotal += item.price * item.quantity;
+}
+console.log(floatTotal);                           // 99.9999999999986
+console.log(formatMoney(calculateTotal(pennies))); // "$100.00"
 
 // Loop Control
 // break and continue
@@ -9,8 +9,10 @@ function calc(x, y) {
 }
 
 // Good: Single responsibility
+const { isEmail } = require("../shared/guards");
+
 function validateEmail(email) {
-    return email.includes("@") && email.length > 5;
+    return isEmail(email);
 }
 
 function sendEmail(email, message) {
@@ -15,19 +15,27 @@ let result = calculator(10, 5, "add");
 console.log("Result:", result);
 
 // User Validation
+let { createError, createResult } = require("../shared/validation-errors");
+let { isEmail } = require("../shared/guards");
+
 function validateUser(user){
+    let errors = [];
     if(!user.name || user.name.length < 3){
-        return {valid: false, error : "name is too short"};
+        errors.push(createError("name", "minLength", { min: 3 }));
     }
-    if(!user.email || !user.email.includes("@")){
-        return {valid: false, error : "email is invalid"};
+    if(!isEmail(user.email)){
+        errors.push(createError("email", "email"));
     }
-    return true;
+    return createResult(errors, user);
 }
 
-let user = {name: "John", email: "john@example"};
+let user = {name: "John", email: "john@example.com"};
 let validationResult = validateUser(user);
-console.log("Validation Result:", validationResult);
+console.log("Validation Result:", validationResult); // { isValid: true, errors: [], data: {...} }
+
+let invalidUser = {name: "Jo", email: "jo.example.com"};
+console.log(validateUser(invalidUser).errors.map(error => `${error.path}: ${error.message}`));
+// ["name: name must be at least 3 characters", "email: email must be a valid email"]
 
 // / Array utilities
 function getUniqueElements(arr){
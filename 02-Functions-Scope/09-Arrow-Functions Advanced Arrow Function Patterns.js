@@ -5,11 +5,16 @@ console.log(result); // 8
 
 // Arrow functions with method chaining on arrays
 // Example: filter → map → sort
+const { compareBy } = require("../shared/sort");
+
 const processData = (data) =>
     data
         .filter(item => item.active) // keep only active items
         .map(item => ({ ...item, processed: true })) // add new property 'processed'
-        .sort((a, b) => a.name.localeCompare(b.name)); // sort alphabetically by name
+        .sort(compareBy([{ key: "name", collation: "natural" }])); // sort by name, "item2" before "item10"
+
+console.log(processData([{ name: "item10", active: true }, { name: "item2", active: true }, { name: "old", active: false }]).map(item => item.name));
+// ["item2", "item10"]
 
 // Conditional arrow functions (using ternary operators)
 
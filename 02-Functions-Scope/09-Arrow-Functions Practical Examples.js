@@ -14,8 +14,9 @@ const userNames = users.map(user => user.name);
 // find() → finds the first user with name "Alice"
 const foundUser = users.find(user => user.name === "Alice");
 
-// sort() → sorts users by their age (ascending)
-const sortedUsers = users.sort((a, b) => a.age - b.age);
+// sortBy() → a copy sorted by age (ascending); sort() would reorder users itself
+const { sortBy } = require("../shared/sort");
+const sortedUsers = sortBy(users, [user => user.age]);
 
 console.log("Active Users:");
 console.log(activeUsers);
@@ -28,6 +29,7 @@ console.log(foundUser);
 
 console.log("Sorted Users by Age:");
 console.log(sortedUsers);
+console.log(sortedUsers !== users); // true (users keeps its own order)
 
 // Async function example - API Call
 const fetchUser = async () => {
@@ -43,16 +45,21 @@ const fetchUser = async () => {
 // checks if array is empty
 const isEmpty = arr => arr.length === 0;
 
-// validates if email has '@'
-const isValidEmail = email => email.includes("@");
+// validates an email with the shared guard (a bare includes("@") accepts "a@")
+const { isEmail } = require("../shared/guards");
+const isValidEmail = email => isEmail(email.trim());
 
-// formats price into currency
-const formatPrice = price => `$${price.toFixed(2)}`;
+// formats a Money value ({ minor: 1999, currency: "USD" }) into currency
+const { money, formatMoney } = require("../shared/money");
+const formatPrice = price => formatMoney(price);
 
 // generates a random number between min and max
 const getRandomNumber = (min, max) => 
     Math.floor(Math.random() * (max - min + 1)) + min;
 
+console.log(formatPrice(money(19.99, "USD")));   // "$19.99"
+console.log(formatPrice(money(1500, "JPY")));    // "¥1,500"
+
 // When to Use Arrow Functions
 
 // good for array methods like map(), reduce(), filter()
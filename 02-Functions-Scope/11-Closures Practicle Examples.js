@@ -18,30 +18,172 @@ console.log(counter1())
 
 // 2. Private Variables
 console.log("2. Private Variables")
-function createBankAccount(initialBalance) {
-    let balance = initialBalance;
+// Failures are thrown as typed errors, so callers can use instanceof
+// instead of comparing strings returned in place of a balance
+class AccountError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = "AccountError";
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class InvalidAmountError extends AccountError {
+    constructor(amount) {
+        super("invalidAmount", `Invalid amount: ${amount}`, { amount });
+        this.name = "InvalidAmountError";
+    }
+}
+
+class InsufficientFundsError extends AccountError {
+    constructor(accountId, amount, available) {
+        super("insufficientFunds", `Insufficient funds in ${accountId}: ${amount} requested, ${available} available`, { accountId, amount, available });
+        this.name = "InsufficientFundsError";
+    }
+}
+
+class DailyLimitError extends AccountError {
+    constructor(accountId, amount, remaining) {
+        super("dailyLimit", `Daily withdrawal limit reached for ${accountId}: ${amount} requested, ${remaining} left today`, { accountId, amount, remaining });
+        this.name = "DailyLimitError";
+    }
+}
+
+// Private access to each account's internals, only used by transfer()
+const accountInternals = new WeakMap();
+let accountCount = 0;
+
+// Amounts are kept in cents so repeated deposits don't drift
+function toCents(amount) {
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0 || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+        throw new InvalidAmountError(amount);
+    }
+    return Math.round(amount * 100);
+}
+
+// A listener that throws can't undo a recorded transaction, so its error
+// goes to onListenerError instead of the caller
+function reportListenerError(error, entry) {
+    console.error(`Listener failed on ${entry.id}: ${error.message}`);
+}
+
+function createBankAccount(initialBalance = 0, { id = `ACC-${++accountCount}`, overdraftLimit = 0, dailyWithdrawalLimit = Infinity, clock = () => new Date(), onListenerError = reportListenerError } = {}) {
+    const openingCents = initialBalance === 0 ? 0 : toCents(initialBalance);
+    let balance = 0;                // cents
+    const transactions = [];        // append-only, every entry frozen
+    const listeners = [];
+    const overdraftCents = Math.round(overdraftLimit * 100);
+    const dailyLimitCents = dailyWithdrawalLimit === Infinity ? Infinity : Math.round(dailyWithdrawalLimit * 100);
     
-    return {
-        deposit: function(amount) {
-            if (amount > 0) {
-                balance += amount;
-                return balance;
+    function record(type, cents, counterparty) {
+        const timestamp = clock().toISOString();
+        balance += type === "deposit" || type === "transferIn" ? cents : -cents;
+        const entry = Object.freeze({
+            id: `${id}-${transactions.length + 1}`,
+            type,
+            amount: cents / 100,
+            timestamp,
+            balance: balance / 100,
+            ...(counterparty ? { counterparty } : {})
+        });
+        transactions.push(entry);
+        return entry;
+    }
+    
+    // Runs every listener even if one throws
+    function notify(entry) {
+        [...listeners].forEach(listener => {
+            try {
+                listener(entry, account);
+            } catch (error) {
+                onListenerError(error, entry);
             }
-            return "Invalid amount";
+        });
+    }
+    
+    function withdrawnToday() {
+        const today = clock().toISOString().slice(0, 10);
+        return transactions
+            .filter(entry => (entry.type === "withdrawal" || entry.type === "transferOut") && entry.timestamp.startsWith(today))
+            .reduce((sum, entry) => sum + Math.round(entry.amount * 100), 0);
+    }
+    
+    // Throws if taking cents out would break the overdraft or daily limit
+    function checkDebit(cents) {
+        if (balance - cents < -overdraftCents) {
+            throw new InsufficientFundsError(id, cents / 100, (balance + overdraftCents) / 100);
+        }
+        const remaining = dailyLimitCents - withdrawnToday();
+        if (cents > remaining) {
+            throw new DailyLimitError(id, cents / 100, remaining / 100);
+        }
+    }
+    
+    const account = {
+        id,
+        
+        deposit: function(amount) {
+            notify(record("deposit", toCents(amount)));
+            return balance / 100;
         },
         
         withdraw: function(amount) {
-            if (amount > 0 && amount <= balance) {
-                balance -= amount;
-                return balance;
-            }
-            return "Insufficient funds";
+            const cents = toCents(amount);
+            checkDebit(cents);
+            notify(record("withdrawal", cents));
+            return balance / 100;
         },
         
         getBalance: function() {
-            return balance;
+            return balance / 100;
+        },
+        
+        // A copy of the history; the entries themselves are frozen
+        getTransactions: function() {
+            return [...transactions];
+        },
+        
+        // listener(entry, account) runs after every recorded transaction
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index > -1) {
+                    listeners.splice(index, 1);
+                }
+            };
         }
     };
+    
+    accountInternals.set(account, { checkDebit, record, notify });
+    if (openingCents > 0) {
+        record("deposit", openingCents);
+    }
+    return account;
+}
+
+// Every check runs before either balance changes, and both sides are
+// recorded before any listener runs, so a transfer happens on both
+// accounts or on neither
+function transfer(from, to, amount) {
+    const source = accountInternals.get(from);
+    const target = accountInternals.get(to);
+    if (!source || !target) {
+        throw new AccountError("unknownAccount", "Transfers need two accounts created by createBankAccount");
+    }
+    if (from === to) {
+        throw new AccountError("sameAccount", `Cannot transfer from ${from.id} to itself`);
+    }
+    
+    const cents = toCents(amount);
+    source.checkDebit(cents);
+    
+    const debit = source.record("transferOut", cents, to.id);
+    const credit = target.record("transferIn", cents, from.id);
+    source.notify(debit);
+    target.notify(credit);
+    return { debit, credit };
 }
 
 const account = createBankAccount(100);
@@ -50,6 +192,333 @@ console.log(account.withdraw(30));  // 120
 console.log(account.getBalance());  // 120
 // console.log(balance); // Error! balance is private
 
+try {
+    account.withdraw(500);
+} catch (error) {
+    console.log(error instanceof InsufficientFundsError, error.message);
+    // true "Insufficient funds in ACC-1: 500 requested, 120 available"
+}
+
+const checking = createBankAccount(50, { id: "CHK", overdraftLimit: 100, dailyWithdrawalLimit: 200 });
+const savings = createBankAccount(0, { id: "SAV" });
+
+transfer(checking, savings, 120);      // Uses 70 of the overdraft
+console.log(checking.getBalance(), savings.getBalance()); // -70 120
+
+try {
+    transfer(checking, savings, 50);   // Only 30 of overdraft left
+} catch (error) {
+    console.log(error.code);           // "insufficientFunds"
+}
+console.log(checking.getBalance(), savings.getBalance()); // -70 120 (nothing moved)
+
+try {
+    savings.withdraw(0.001);
+} catch (error) {
+    console.log(error.name);           // "InvalidAmountError"
+}
+
+console.log(checking.getTransactions().map(entry => `${entry.type} ${entry.amount} → ${entry.balance}`));
+// ["deposit 50 → 50", "transferOut 120 → -70"]
+console.log(Object.isFrozen(checking.getTransactions()[0])); // true
+
+// A failing subscriber can't leave the money debited but not credited,
+// and the transfer doesn't throw, so nobody retries it and posts it twice
+const listenerErrors = [];
+const wallet = createBankAccount(100, { id: "WAL", onListenerError: (error, entry) => listenerErrors.push(`${entry.id}: ${error.message}`) });
+const piggy = createBankAccount(0, { id: "PIG" });
+const stopAudit = wallet.subscribe(() => { throw new Error("audit log offline"); });
+transfer(wallet, piggy, 40);
+console.log(wallet.getBalance(), piggy.getBalance()); // 60 40
+console.log(listenerErrors);                          // ["WAL-2: audit log offline"]
+stopAudit();
+
+// Opening balances follow the same rules as every other amount
+for (const opening of [-50, "50"]) {
+    try {
+        createBankAccount(opening);
+    } catch (error) {
+        console.log(error.name, error.message);
+    }
+}
+// InvalidAmountError Invalid amount: -50
+// InvalidAmountError Invalid amount: 50
+
+// General ledger (double-entry)
+// Every movement is a journal entry whose debits equal its credits, so
+// balances can be recomputed and audited from the entries at any time
+class LedgerError extends AccountError {
+    constructor(code, message, details = {}) {
+        super(code, message, details);
+        this.name = "LedgerError";
+    }
+}
+
+// Assets and expenses grow with debits, everything else with credits
+const DEBIT_NORMAL = ["asset", "expense"];
+
+function formatCents(cents) {
+    return (cents / 100).toFixed(2);
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createLedger({ clock = () => new Date() } = {}) {
+    const accounts = new Map();     // code → { code, name, type }
+    const entries = [];             // append-only journal
+    const linked = new Map();       // bank account id → ledger code
+    const unposted = [];            // bank transactions the ledger failed to post
+    
+    function getAccount(code) {
+        const ledgerAccount = accounts.get(code);
+        if (!ledgerAccount) {
+            throw new LedgerError("unknownAccount", `No ledger account ${code}`, { code });
+        }
+        return ledgerAccount;
+    }
+    
+    // Signed balance in cents on the account's normal side
+    function balanceOf(code, filter = () => true) {
+        const sign = DEBIT_NORMAL.includes(getAccount(code).type) ? 1 : -1;
+        let cents = 0;
+        for (const entry of entries.filter(filter)) {
+            for (const posting of entry.postings) {
+                if (posting.account === code) cents += sign * (posting.debit - posting.credit);
+            }
+        }
+        return cents;
+    }
+    
+    function openAccount(code, name, type) {
+        if (accounts.has(code)) {
+            throw new LedgerError("duplicateAccount", `Ledger account ${code} already exists`, { code });
+        }
+        if (![...DEBIT_NORMAL, "liability", "equity", "income"].includes(type)) {
+            throw new LedgerError("invalidType", `Unknown account type "${type}"`, { type });
+        }
+        accounts.set(code, Object.freeze({ code, name, type }));
+    }
+    
+    // postings: [{ account, debit }] / [{ account, credit }]
+    function post({ description, postings, date = clock().toISOString() }) {
+        const lines = postings.map(posting => {
+            getAccount(posting.account);
+            if ((posting.debit === undefined) === (posting.credit === undefined)) {
+                throw new LedgerError("invalidPosting", `Posting to ${posting.account} needs exactly one of debit or credit`);
+            }
+            return Object.freeze({
+                account: posting.account,
+                debit: posting.debit === undefined ? 0 : toCents(posting.debit),
+                credit: posting.credit === undefined ? 0 : toCents(posting.credit)
+            });
+        });
+        
+        const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+        const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+        if (lines.length < 2 || debits !== credits) {
+            throw new LedgerError("unbalanced", `Entry "${description}" is unbalanced: debits ${formatCents(debits)}, credits ${formatCents(credits)}`, { debits: debits / 100, credits: credits / 100 });
+        }
+        
+        const entry = Object.freeze({ id: `JE-${entries.length + 1}`, date, description, postings: Object.freeze(lines) });
+        entries.push(entry);
+        return entry;
+    }
+    
+    // Mirror a bank account: it becomes a ledger asset and every transaction is posted.
+    // Deposits and withdrawals go against counterAccount; transfers between two
+    // linked accounts are posted once, on the sending side. A transaction that
+    // can't be posted is kept in `unposted` so reconcile() flags the account
+    function linkBankAccount(bankAccount, code, { counterAccount }) {
+        getAccount(code);
+        getAccount(counterAccount);
+        linked.set(bankAccount.id, code);
+        
+        const opening = bankAccount.getBalance();
+        if (opening !== 0) {
+            post({
+                description: `Opening balance ${bankAccount.id}`,
+                postings: opening > 0
+                    ? [{ account: code, debit: opening }, { account: counterAccount, credit: opening }]
+                    : [{ account: counterAccount, debit: -opening }, { account: code, credit: -opening }]
+            });
+        }
+        
+        return bankAccount.subscribe(transaction => {
+            const other = linked.get(transaction.counterparty) || counterAccount;
+            const base = { date: transaction.timestamp, description: `${transaction.type} ${transaction.id}` };
+            
+            try {
+                if (transaction.type === "deposit" || (transaction.type === "transferIn" && !linked.has(transaction.counterparty))) {
+                    post({ ...base, postings: [{ account: code, debit: transaction.amount }, { account: other, credit: transaction.amount }] });
+                } else if (transaction.type === "withdrawal" || transaction.type === "transferOut") {
+                    post({ ...base, postings: [{ account: other, debit: transaction.amount }, { account: code, credit: transaction.amount }] });
+                }
+            } catch (error) {
+                unposted.push(Object.freeze({ account: code, transaction: transaction.id, date: transaction.timestamp, amount: transaction.amount, reason: error.message }));
+            }
+        });
+    }
+    
+    // Debit and credit columns must add up to the same total
+    function trialBalance(asOf = clock().toISOString()) {
+        const rows = [...accounts.values()].map(ledgerAccount => {
+            const cents = balanceOf(ledgerAccount.code, entry => entry.date <= asOf);
+            const debitSide = DEBIT_NORMAL.includes(ledgerAccount.type) === cents >= 0;
+            return {
+                account: ledgerAccount.code,
+                name: ledgerAccount.name,
+                debit: debitSide ? Math.abs(cents) / 100 : 0,
+                credit: debitSide ? 0 : Math.abs(cents) / 100
+            };
+        });
+        const totalDebit = rows.reduce((sum, row) => sum + Math.round(row.debit * 100), 0);
+        const totalCredit = rows.reduce((sum, row) => sum + Math.round(row.credit * 100), 0);
+        return { asOf, rows, totalDebit: totalDebit / 100, totalCredit: totalCredit / 100, balanced: totalDebit === totalCredit };
+    }
+    
+    // Period-end check of a ledger account against an outside balance
+    // (the bank account itself, or a figure from a bank statement).
+    // Bank transactions that never made it into the journal are listed too
+    function reconcile(code, externalBalance, asOf = clock().toISOString()) {
+        const ledgerCents = balanceOf(code, entry => entry.date <= asOf);
+        const difference = Math.round(externalBalance * 100) - ledgerCents;
+        const missing = unposted.filter(item => item.account === code && item.date <= asOf);
+        return {
+            account: code,
+            asOf,
+            ledgerBalance: ledgerCents / 100,
+            externalBalance,
+            difference: difference / 100,
+            unposted: missing,
+            reconciled: difference === 0 && missing.length === 0
+        };
+    }
+    
+    // period: "2024-03"
+    function statement(code, period) {
+        const ledgerAccount = getAccount(code);
+        const sign = DEBIT_NORMAL.includes(ledgerAccount.type) ? 1 : -1;
+        const opening = balanceOf(code, entry => entry.date.slice(0, 7) < period);
+        let running = opening;
+        let totalDebit = 0;
+        let totalCredit = 0;
+        const lines = [];
+        
+        for (const entry of entries.filter(e => e.date.slice(0, 7) === period)) {
+            for (const posting of entry.postings.filter(p => p.account === code)) {
+                running += sign * (posting.debit - posting.credit);
+                totalDebit += posting.debit;
+                totalCredit += posting.credit;
+                lines.push({
+                    date: entry.date.slice(0, 10),
+                    entry: entry.id,
+                    description: entry.description,
+                    debit: posting.debit / 100,
+                    credit: posting.credit / 100,
+                    balance: running / 100
+                });
+            }
+        }
+        
+        return {
+            account: code,
+            name: ledgerAccount.name,
+            period,
+            openingBalance: opening / 100,
+            closingBalance: running / 100,
+            totalDebit: totalDebit / 100,
+            totalCredit: totalCredit / 100,
+            lines
+        };
+    }
+    
+    function exportStatement(code, period, format = "json") {
+        const data = statement(code, period);
+        switch (format) {
+            case "json":
+                return JSON.stringify(data, null, 2);
+            case "csv": {
+                const rows = [
+                    ["date", "entry", "description", "debit", "credit", "balance"],
+                    [`${period}-01`, "", "Opening balance", "", "", formatCents(data.openingBalance * 100)],
+                    ...data.lines.map(line => [line.date, line.entry, line.description,
+                        formatCents(line.debit * 100), formatCents(line.credit * 100), formatCents(line.balance * 100)]),
+                    ["", "", "Closing balance", formatCents(data.totalDebit * 100), formatCents(data.totalCredit * 100), formatCents(data.closingBalance * 100)]
+                ];
+                return rows.map(row => row.map(csvCell).join(",")).join("\r\n");
+            }
+            default:
+                throw new LedgerError("invalidFormat", `Unknown statement format "${format}"`, { format });
+        }
+    }
+    
+    return {
+        openAccount,
+        post,
+        linkBankAccount,
+        trialBalance,
+        reconcile,
+        statement,
+        exportStatement,
+        getBalance: code => balanceOf(code) / 100,
+        getEntries: () => [...entries]
+    };
+}
+
+// Fixed clock so the dates in the output are predictable
+let bookDate = new Date("2024-02-28T10:00:00Z");
+const bookClock = () => bookDate;
+
+const books = createLedger({ clock: bookClock });
+books.openAccount("1000", "Operating account", "asset");
+books.openAccount("1010", "Reserve account", "asset");
+books.openAccount("3000", "Owner's equity", "equity");
+books.openAccount("4000", "Sales", "income");
+books.openAccount("6000", "Expenses", "expense");
+
+const operating = createBankAccount(1000, { id: "OPS", clock: bookClock });
+const reserve = createBankAccount(0, { id: "RES", clock: bookClock });
+books.linkBankAccount(operating, "1000", { counterAccount: "3000" });
+books.linkBankAccount(reserve, "1010", { counterAccount: "3000" });
+
+bookDate = new Date("2024-03-05T09:00:00Z");
+operating.deposit(2500);                         // customer payment
+books.post({                                     // reclassify it as sales, not equity
+    description: "Invoice INV-2024-0001 paid",
+    postings: [{ account: "3000", debit: 2500 }, { account: "4000", credit: 2500 }]
+});
+bookDate = new Date("2024-03-12T15:30:00Z");
+transfer(operating, reserve, 800);               // posted once: debit 1010, credit 1000
+bookDate = new Date("2024-03-20T11:00:00Z");
+operating.withdraw(120.5);
+
+try {
+    books.post({ description: "Typo", postings: [{ account: "6000", debit: 100 }, { account: "1000", credit: 10 }] });
+} catch (error) {
+    console.log(error.name, error.code);         // LedgerError unbalanced
+}
+
+const trial = books.trialBalance();
+console.log(trial.totalDebit, trial.totalCredit, trial.balanced); // 3379.5 3379.5 true
+
+console.log(books.reconcile("1000", operating.getBalance()).reconciled); // true
+console.log(books.reconcile("1000", 2700).difference);                    // 120.5 (bank says more than the books)
+console.log(books.reconcile("1000", operating.getBalance()).unposted);   // [] (every bank transaction was posted)
+
+console.log(books.exportStatement("1000", "2024-03", "csv"));
+// date,entry,description,debit,credit,balance
+// 2024-03-01,,Opening balance,,,1000.00
+// 2024-03-05,JE-2,deposit OPS-2,2500.00,0.00,3500.00
+// 2024-03-12,JE-4,transferOut OPS-3,0.00,800.00,2700.00
+// 2024-03-20,JE-5,withdrawal OPS-4,0.00,120.50,2579.50
+// ,,Closing balance,2500.00,920.50,2579.50
+
+const march = JSON.parse(books.exportStatement("1010", "2024-03", "json"));
+console.log(march.openingBalance, march.closingBalance, march.lines.length); // 0 800 1
+
 // 3. Function Factory
 console.log("3. Function Factory")
 function createMultiplier(multiplier) {
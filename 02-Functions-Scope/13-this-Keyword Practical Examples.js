@@ -1,36 +1,56 @@
 // -------------------------------------------
 // Example 1: Shopping Cart (Object Literal)
 // -------------------------------------------
+// Cart ke rules (id se lines, maxPerOrder, stock) shared createCart() mein hain;
+// yeh object bas 'this' ke through usko use karta hai
+const { createCart } = require("../shared/cart");
+
+const catalog = [
+    { id: "p2", name: "mouse", price: 25.5, stock: 40, maxPerOrder: 10 }
+];
+
 const shoppingCart = {
-    items: [],   // Cart ke saare items yahan store honge
-    total: 0,    // Cart ka total price
+    cart: createCart(catalog),   // Asli cart (quantity, limits, stock checks)
+    items: [],   // Cart ke saare lines yahan store honge: { productId, name, price, quantity, lineTotal }
+    total: 0,    // Cart ka total price (quantity ke saath)
 
-    // Method: Item add karna
-    addItem: function(item) {
-        this.items.push(item);    // 'this' => shoppingCart object
-        this.updateTotal();       // Total update karna
+    // Method: Item add karna (same id dobara aaye to quantity badhti hai)
+    addItem: function(productId, quantity = 1) {
+        this.cart.add(productId, quantity);   // 'this' => shoppingCart object
+        this.updateTotal();                    // Total update karna
     },
     
-    // Method: Item remove karna by ID
-    removeItem: function(itemId) {
-        // Filter use karke new array banate hain jisme matching item nahi hoga
-        this.items = this.items.filter(item => item.id !== itemId);
+    // Method: Quantity set karna (0 => line hata do)
+    setQuantity: function(productId, quantity) {
+        this.cart.setQuantity(productId, quantity);
+        this.updateTotal();
+    },
+    
+    // Method: Item remove karna by ID (poori line, chahe quantity kitni bhi ho)
+    removeItem: function(productId) {
+        this.cart.remove(productId);
         this.updateTotal();       // Total fir se calculate karte hain
     },
     
-    // Method: Total calculate karna
+    // Method: Total calculate karna (price * quantity, cart khud karta hai)
     updateTotal: function() {
-        // Reduce loop lagake sab prices add karte hain
-        this.total = this.items.reduce((sum, item) => sum + item.price, 0);
+        this.items = this.cart.getLines();
+        this.total = this.cart.getTotals().subtotal;
     },
     
     // Method: Cart info show karna
     getInfo: function() {
-        // 'this.items' aur 'this.total' dono object ke hi parts hain
-        return `Cart has ${this.items.length} items, total: $${this.total}`;
+        // 'this.cart' aur 'this.total' dono object ke hi parts hain
+        return `Cart has ${this.cart.getTotals().itemCount} items, total: $${this.total}`;
     }
 };
 
+shoppingCart.addItem("p2");
+shoppingCart.addItem("p2", 2);   // Nayi line nahi banti, quantity 3 ho jaati hai
+console.log(shoppingCart.getInfo()); // "Cart has 3 items, total: $76.5"
+shoppingCart.setQuantity("p2", 1);
+console.log(shoppingCart.getInfo()); // "Cart has 1 items, total: $25.5"
+
 // -------------------------------------------
 // Example 2: Counter with Methods
 // -------------------------------------------
@@ -1,31 +1,45 @@
-
 // Shopping cart
-const cart = [];
+// Lines are keyed by product id: adding the same product again
+// increases the quantity of its line instead of pushing a duplicate
+const products = [
+    { id: "p1", name: "laptop", price: 999.99, stock: 5, maxPerOrder: 2 },
+    { id: "p2", name: "mouse", price: 25.5, stock: 40, maxPerOrder: 10 },
+    { id: "p3", name: "keyboard", price: 75, stock: 0 }
+];
 
-function addToCart(item) {
-    cart.push(item);
-    console.log(`Added ${item} to cart`);
-}
+// createCart(catalog) → { add, setQuantity, remove, getLines, getTotals }
+const { createCart } = require("../shared/cart");
 
-function removeFromCart(item) {
-    const index = cart.indexOf(item);
-    if (index > -1) {
-        cart.splice(index, 1);
-        console.log(`Removed ${item} from cart`);
-    }
-}
+const cart = createCart(products);
 
 function showCart() {
-    console.log("Cart contents:", cart.join(", "));
+    const contents = cart.getLines().map(line => `${line.quantity} x ${line.name}`);
+    console.log("Cart contents:", contents.join(", "));
 }
 
 // Usage
-addToCart("laptop");
-addToCart("mouse");
-addToCart("keyboard");
-showCart(); // "Cart contents: laptop, mouse, keyboard"
-removeFromCart("mouse");
-showCart(); // "Cart contents: laptop, keyboard"
+cart.add("p1");
+cart.add("p2");
+cart.add("p2", 2);            // Merged into the existing mouse line
+showCart(); // "Cart contents: 1 x laptop, 3 x mouse"
+console.log(cart.getTotals()); // { lineCount: 2, itemCount: 4, subtotal: 1076.49 }
+
+cart.setQuantity("p1", 2);
+cart.remove("p2");            // Removes all 3 mice, not just one
+showCart(); // "Cart contents: 2 x laptop"
+
+try {
+    cart.add("p1");           // Would be 3 laptops
+} catch (error) {
+    console.log(error.message); // "At most 2 laptop per order"
+}
+
+try {
+    cart.add("p3");
+} catch (error) {
+    console.log(error.message); // "Only 0 keyboard in stock"
+}
+console.log(cart.getTotals()); // { lineCount: 1, itemCount: 2, subtotal: 1999.98 }
 
 // Todo list
 const todos = [];
@@ -0,0 +1,127 @@
+// Shopping cart keyed by product id
+// Adding the same product again increases the quantity of its line instead of
+// pushing a duplicate. Every change is checked against the product's
+// maxPerOrder and stock, so the cart never holds an invalid line.
+// catalog: [{ id, name, price, stock, maxPerOrder }]
+// With an inventory (createInventory() from ./inventory) stock is reserved per
+// line under the cart's id while it sits in the cart and committed by
+// checkout(); product.stock is then ignored
+const { money, multiplyMoney, sumMoney, toDecimal } = require("./money");
+
+// Carts without an explicit id still get their own, so checkout() never
+// commits another cart's reservations
+let cartCount = 0;
+
+function createCart(catalog, { currency = "USD", inventory, cartId = `cart-${++cartCount}` } = {}) {
+    const lines = [];   // [{ productId, quantity, reservationId }]
+
+    function findProduct(productId) {
+        const product = catalog.find(p => p.id === productId);
+        if (!product) {
+            throw new Error(`Unknown product: ${productId}`);
+        }
+        return product;
+    }
+
+    // Throws if the quantity breaks a rule, so the cart never holds an invalid line
+    function checkQuantity(product, quantity) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Quantity for ${product.name} must be a positive whole number`);
+        }
+        if (product.maxPerOrder !== undefined && quantity > product.maxPerOrder) {
+            throw new Error(`At most ${product.maxPerOrder} ${product.name} per order`);
+        }
+        if (!inventory && quantity > product.stock) {
+            throw new Error(`Only ${product.stock} ${product.name} in stock`);
+        }
+    }
+
+    // Swap the line's reservation for one of the new size; if the inventory
+    // can't cover it, the old reservation is put back before rethrowing
+    function reserveLine(line, productId, quantity) {
+        const previous = line ? line.quantity : 0;
+        if (line && line.reservationId !== undefined) inventory.release(line.reservationId);
+        if (quantity === 0) return undefined;
+        try {
+            return inventory.reserve(cartId, productId, quantity).id;
+        } catch (error) {
+            if (line && previous > 0) line.reservationId = inventory.reserve(cartId, productId, previous).id;
+            throw error;
+        }
+    }
+
+    function setQuantity(productId, quantity) {
+        const product = findProduct(productId);
+        const index = lines.findIndex(line => line.productId === productId);
+        const line = index > -1 ? lines[index] : undefined;
+
+        if (quantity !== 0) checkQuantity(product, quantity);
+        const reservationId = inventory ? reserveLine(line, productId, quantity) : undefined;
+
+        if (quantity === 0) {
+            if (index > -1) lines.splice(index, 1);
+        } else if (line) {
+            line.quantity = quantity;
+            line.reservationId = reservationId;
+        } else {
+            lines.push({ productId, quantity, reservationId });
+        }
+    }
+
+    function add(productId, quantity = 1) {
+        const line = lines.find(l => l.productId === productId);
+        setQuantity(productId, (line ? line.quantity : 0) + quantity);
+    }
+
+    function remove(productId) {
+        setQuantity(productId, 0);   // Removes the whole line, whatever its quantity
+    }
+
+    function lineTotal(line) {
+        return multiplyMoney(money(findProduct(line.productId).price, currency), line.quantity);
+    }
+
+    function getLines() {
+        return lines.map(line => {
+            const product = findProduct(line.productId);
+            return {
+                productId: line.productId,
+                name: product.name,
+                price: product.price,
+                quantity: line.quantity,
+                lineTotal: toDecimal(lineTotal(line))
+            };
+        });
+    }
+
+    // Totals are summed as Money so quantities never add float drift
+    function getTotals() {
+        return {
+            lineCount: lines.length,
+            itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+            subtotal: toDecimal(sumMoney(lines.map(lineTotal), currency))
+        };
+    }
+
+    // Turn the reservations into sold stock and empty the cart.
+    // Lines whose reservation expired are reserved again first (and fail
+    // here if the stock has gone in the meantime)
+    function checkout() {
+        if (!inventory) {
+            throw new Error("checkout() needs a cart created with an inventory");
+        }
+        const active = inventory.getReservations(cartId).map(reservation => reservation.id);
+        for (const line of lines) {
+            if (!active.includes(line.reservationId)) {
+                line.reservationId = inventory.reserve(cartId, line.productId, line.quantity).id;
+            }
+        }
+        const committed = inventory.commit(cartId);
+        lines.length = 0;
+        return committed;
+    }
+
+    return { add, setQuantity, remove, getLines, getTotals, checkout };
+}
+
+module.exports = { createCart };
@@ -0,0 +1,143 @@
+// Guard library shared by the validators in every lesson
+// Every guard is a plain predicate (guard(value) → boolean) that also has
+// guard.check(value) → null when valid, or { path, guard, message } saying
+// which guard rejected the value. Combinators build bigger guards from small ones.
+
+function isString(value) {
+    return typeof value === "string";
+}
+
+function createGuard(name, check) {
+    let guard = value => guard.check(value) === null;
+    guard.guardName = name;
+    guard.check = (value, path = "") => check(value, path);
+    return guard;
+}
+
+// Simple guard from a test function and a description for the message
+function predicate(name, test, description) {
+    return createGuard(name, (value, path) => {
+        if (test(value)) return null;
+        return { path, guard: name, message: `${path || "value"} must be ${description}` };
+    });
+}
+
+// Format guards
+let isNonEmptyString = predicate("nonEmptyString", value => isString(value) && value.trim().length > 0, "a non-empty string");
+
+let isEmail = predicate("email", value =>
+    isString(value) && value.length <= 254 && /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i.test(value),
+    "a valid email address");
+
+let isUrl = predicate("url", value => {
+    if (!isString(value)) return false;
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}, "an http(s) URL");
+
+let isUuid = predicate("uuid", value =>
+    isString(value) && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value),
+    "a UUID");
+
+// "2024-02-30" matches the pattern but is not a real day, so compare the parts back
+let isIsoDate = predicate("isoDate", value => {
+    if (!isString(value)) return false;
+    let match = value.match(/^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/);
+    if (!match) return false;
+    let date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    return date.getUTCFullYear() === Number(match[1]) &&
+        date.getUTCMonth() === match[2] - 1 &&
+        date.getUTCDate() === Number(match[3]) &&
+        !isNaN(new Date(value).getTime());
+}, "an ISO-8601 date");
+
+let isE164Phone = predicate("e164Phone", value => isString(value) && /^\+[1-9]\d{1,14}$/.test(value), "an E.164 phone number");
+
+function integerInRange(min, max) {
+    return predicate(`integerInRange(${min}, ${max})`,
+        value => Number.isInteger(value) && value >= min && value <= max,
+        `an integer between ${min} and ${max}`);
+}
+
+// Combinators
+function and(...guards) {
+    return createGuard(`and(${guards.map(g => g.guardName).join(", ")})`, (value, path) => {
+        for (let guard of guards) {
+            let failure = guard.check(value, path);
+            if (failure) return failure; // First sub-guard that rejected
+        }
+        return null;
+    });
+}
+
+function or(...guards) {
+    let name = `or(${guards.map(g => g.guardName).join(", ")})`;
+    return createGuard(name, (value, path) => {
+        let failures = [];
+        for (let guard of guards) {
+            let failure = guard.check(value, path);
+            if (!failure) return null;
+            failures.push(failure);
+        }
+        return { path, guard: name, message: failures.map(f => f.message).join(" or "), failures };
+    });
+}
+
+function not(guard) {
+    let name = `not(${guard.guardName})`;
+    return createGuard(name, (value, path) =>
+        guard.check(value, path) === null ? { path, guard: name, message: `${path || "value"} must not be ${guard.guardName}` } : null
+    );
+}
+
+function optional(guard) {
+    return createGuard(`optional(${guard.guardName})`, (value, path) =>
+        value === undefined || value === null ? null : guard.check(value, path)
+    );
+}
+
+function arrayOf(guard) {
+    let name = `arrayOf(${guard.guardName})`;
+    return createGuard(name, (value, path) => {
+        if (!Array.isArray(value)) return { path, guard: name, message: `${path || "value"} must be an array` };
+        for (let [index, item] of value.entries()) {
+            let failure = guard.check(item, `${path}[${index}]`);
+            if (failure) return failure;
+        }
+        return null;
+    });
+}
+
+function shape(guards) {
+    return createGuard("shape", (value, path) => {
+        if (typeof value !== "object" || value === null) {
+            return { path, guard: "shape", message: `${path || "value"} must be an object` };
+        }
+        for (let [key, guard] of Object.entries(guards)) {
+            let failure = guard.check(value[key], path ? `${path}.${key}` : key);
+            if (failure) return failure;
+        }
+        return null;
+    });
+}
+
+module.exports = {
+    createGuard,
+    predicate,
+    isNonEmptyString,
+    isEmail,
+    isUrl,
+    isUuid,
+    isIsoDate,
+    isE164Phone,
+    integerInRange,
+    and,
+    or,
+    not,
+    optional,
+    arrayOf,
+    shape
+};
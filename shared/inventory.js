@@ -0,0 +1,120 @@
+// Stock per SKU: carts reserve units, reservations expire, checkout commits them.
+// inStock is always computed, never stored.
+// The shared cart (createCart(catalog, { inventory })) calls reserve() when a
+// line is added or changed, release() when it shrinks and commit() on checkout
+function createInventory({ lowStockThreshold = 5, reservationTtlMs = 15 * 60 * 1000, clock = () => Date.now() } = {}) {
+    let stock = new Map();          // sku → on-hand quantity
+    let reservations = new Map();   // id → { id, sku, cartId, quantity, expiresAt }
+    let listeners = { lowStock: [], outOfStock: [], reservationExpired: [] };
+    let nextReservationId = 1;
+    
+    function emit(event, payload) {
+        listeners[event].forEach(listener => listener(payload));
+    }
+    
+    function reservedQuantity(sku) {
+        let total = 0;
+        for (let reservation of reservations.values()) {
+            if (reservation.sku === sku) total += reservation.quantity;
+        }
+        return total;
+    }
+    
+    function available(sku) {
+        return (stock.get(sku) || 0) - reservedQuantity(sku);
+    }
+    
+    // Alerts fire when available stock crosses a level, not on every change below it
+    function checkLevels(sku, before) {
+        let after = available(sku);
+        if (after <= 0 && before > 0) {
+            emit("outOfStock", { sku });
+        } else if (after <= lowStockThreshold && before > lowStockThreshold) {
+            emit("lowStock", { sku, available: after });
+        }
+    }
+    
+    function assertQuantity(quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new Error(`Quantity must be a positive integer, got ${quantity}`);
+        }
+    }
+    
+    function releaseExpired() {
+        let now = clock();
+        for (let reservation of [...reservations.values()]) {
+            if (reservation.expiresAt <= now) {
+                reservations.delete(reservation.id);
+                emit("reservationExpired", { ...reservation });
+            }
+        }
+    }
+    
+    return {
+        on(event, listener) {
+            if (!listeners[event]) {
+                throw new Error(`Unknown inventory event "${event}"`);
+            }
+            listeners[event].push(listener);
+            return function unsubscribe() {
+                let index = listeners[event].indexOf(listener);
+                if (index > -1) listeners[event].splice(index, 1);
+            };
+        },
+        
+        receive(sku, quantity) {
+            assertQuantity(quantity);
+            stock.set(sku, (stock.get(sku) || 0) + quantity);
+        },
+        
+        getItem(sku) {
+            releaseExpired();
+            let onHand = stock.get(sku) || 0;
+            let reserved = reservedQuantity(sku);
+            return { sku, onHand, reserved, available: onHand - reserved, inStock: onHand - reserved > 0 };
+        },
+        
+        // Called by the cart when an item is added
+        reserve(cartId, sku, quantity) {
+            assertQuantity(quantity);
+            releaseExpired();
+            let before = available(sku);
+            if (quantity > before) {
+                throw new Error(`Cannot reserve ${quantity} of ${sku}: only ${Math.max(before, 0)} available`);
+            }
+            
+            let reservation = { id: nextReservationId++, sku, cartId, quantity, expiresAt: clock() + reservationTtlMs };
+            reservations.set(reservation.id, reservation);
+            checkLevels(sku, before);
+            return { ...reservation };
+        },
+        
+        release(reservationId) {
+            return reservations.delete(reservationId);
+        },
+        
+        getReservations(cartId) {
+            releaseExpired();
+            return [...reservations.values()].filter(reservation => reservation.cartId === cartId).map(reservation => ({ ...reservation }));
+        },
+        
+        releaseExpired,
+        
+        // Checkout: reserved units leave the warehouse
+        commit(cartId) {
+            releaseExpired();
+            let committed = [...reservations.values()].filter(reservation => reservation.cartId === cartId);
+            if (committed.length === 0) {
+                throw new Error(`No active reservations for cart ${cartId}`);
+            }
+            
+            for (let reservation of committed) {
+                reservations.delete(reservation.id);
+                stock.set(reservation.sku, stock.get(reservation.sku) - reservation.quantity);
+            }
+            return committed.map(({ sku, quantity }) => ({ sku, quantity }));
+        }
+    };
+}
+
+module.exports = { createInventory };
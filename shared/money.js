@@ -0,0 +1,146 @@
+// Money: an integer amount of minor units (cents) plus a currency code
+// Floats can't represent 0.1 or 19.99 exactly, so every amount is kept in
+// minor units and every multiplication rounds once, with an explicit mode:
+// "halfUp" (0.5 away from zero), "halfEven" (banker's), "down" or "up"
+
+// Decimal places of a currency: USD → 2, JPY → 0, KWD → 3
+function minorDigits(currency) {
+    return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// Exact fraction for a decimal number: 0.075 → 75n / 1000n
+function toFraction(value) {
+    let [digits, exponent = "0"] = String(value).toLowerCase().split("e");
+    let [whole, fraction = ""] = digits.split(".");
+    let numerator = BigInt(whole + fraction);
+    let scale = fraction.length - Number(exponent);
+    return scale >= 0
+        ? { numerator, denominator: 10n ** BigInt(scale) }
+        : { numerator: numerator * 10n ** BigInt(-scale), denominator: 1n };
+}
+
+// Integer division with a rounding mode:
+// "halfUp" (0.5 away from zero), "halfEven" (banker's), "down" (truncate), "up"
+function divideRounded(numerator, denominator, mode = "halfUp") {
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+    let quotient = numerator / denominator; // BigInt division truncates toward zero
+    let remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+    
+    let step = numerator < 0n ? -1n : 1n;
+    let twiceRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+    
+    switch (mode) {
+        case "halfUp":
+            return twiceRemainder >= denominator ? quotient + step : quotient;
+        case "halfEven":
+            if (twiceRemainder > denominator) return quotient + step;
+            if (twiceRemainder === denominator && quotient % 2n !== 0n) return quotient + step;
+            return quotient;
+        case "down":
+            return quotient;
+        case "up":
+            return quotient + step;
+        default:
+            throw new Error(`Unknown rounding mode "${mode}"`);
+    }
+}
+
+function createMoney(minor, currency) {
+    if (!Number.isSafeInteger(minor)) {
+        throw new Error(`Money needs a whole number of minor units, got ${minor}`);
+    }
+    return Object.freeze({ minor, currency });
+}
+
+// money(19.99, "USD") → { minor: 1999, currency: "USD" }
+function money(amount, currency = "USD", rounding = "halfUp") {
+    let { numerator, denominator } = toFraction(amount);
+    let scale = 10n ** BigInt(minorDigits(currency));
+    return createMoney(Number(divideRounded(numerator * scale, denominator, rounding)), currency);
+}
+
+function assertSameCurrency(a, b) {
+    if (a.currency !== b.currency) {
+        throw new Error(`Currency mismatch: ${a.currency} vs ${b.currency}`);
+    }
+}
+
+function addMoney(a, b) {
+    assertSameCurrency(a, b);
+    return createMoney(a.minor + b.minor, a.currency);
+}
+
+function subtractMoney(a, b) {
+    assertSameCurrency(a, b);
+    return createMoney(a.minor - b.minor, a.currency);
+}
+
+function sumMoney(amounts, currency = "USD") {
+    return amounts.reduce(addMoney, createMoney(0, currency));
+}
+
+function minMoney(a, b) {
+    assertSameCurrency(a, b);
+    return a.minor <= b.minor ? a : b;
+}
+
+// Multiply by a quantity or a rate: multiplyMoney(price, 3), multiplyMoney(subtotal, 0.08, "halfEven")
+function multiplyMoney(amount, factor, rounding = "halfUp") {
+    let { numerator, denominator } = toFraction(factor);
+    return createMoney(Number(divideRounded(BigInt(amount.minor) * numerator, denominator, rounding)), amount.currency);
+}
+
+function percentOf(amount, percent, rounding = "halfUp") {
+    let { numerator, denominator } = toFraction(percent);
+    return createMoney(Number(divideRounded(BigInt(amount.minor) * numerator, denominator * 100n, rounding)), amount.currency);
+}
+
+// Back to a plain number for JSON/display: 1999 → 19.99
+function toDecimal(amount) {
+    return amount.minor / 10 ** minorDigits(amount.currency);
+}
+
+function formatMoney(amount, locale = "en-US") {
+    return new Intl.NumberFormat(locale, { style: "currency", currency: amount.currency }).format(toDecimal(amount));
+}
+
+// Split an amount across lines in proportion to their weights, so the
+// parts always add back up to the exact amount (largest remainder first)
+function allocateMoney(amount, weights) {
+    let totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) return weights.map(() => createMoney(0, amount.currency));
+    
+    let shares = weights.map(weight => amount.minor * weight / totalWeight);
+    let parts = shares.map(Math.floor);
+    let leftover = amount.minor - parts.reduce((sum, part) => sum + part, 0);
+    
+    shares
+        .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+        .sort((x, y) => y.fraction - x.fraction)
+        .slice(0, leftover)
+        .forEach(({ index }) => parts[index]++);
+    
+    return parts.map(minor => createMoney(minor, amount.currency));
+}
+
+module.exports = {
+    minorDigits,
+    toFraction,
+    divideRounded,
+    createMoney,
+    money,
+    assertSameCurrency,
+    addMoney,
+    subtractMoney,
+    sumMoney,
+    minMoney,
+    multiplyMoney,
+    percentOf,
+    toDecimal,
+    formatMoney,
+    allocateMoney
+};
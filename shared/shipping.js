@@ -0,0 +1,118 @@
+// Shipping rates from what is actually shipped: carrier rate tables priced on
+// billable weight (actual or dimensional) per destination zone.
+// Rate amounts are decimals in the order currency; prices come back as Money
+let { createMoney, money, addMoney, subtractMoney, multiplyMoney, percentOf } = require("./money");
+
+let shippingCarriers = [
+    {
+        id: "postal", name: "Postal Service", dimDivisor: 6000,
+        services: [{
+            id: "standard", name: "Standard", maxWeightKg: 30,
+            rates: {
+                domestic: { base: 4.5, perKg: 1.1, days: [3, 5], freeOver: 100 },
+                regional: { base: 9, perKg: 2.2, days: [5, 8] },
+                international: { base: 18, perKg: 6.5, days: [10, 20] }
+            }
+        }]
+    },
+    {
+        id: "fastship", name: "FastShip", dimDivisor: 5000,
+        services: [
+            {
+                id: "express", name: "Express", maxWeightKg: 50,
+                rates: {
+                    domestic: { base: 12, perKg: 2.5, days: [1, 2] },
+                    regional: { base: 19, perKg: 3.5, days: [2, 3] },
+                    international: { base: 35, perKg: 9, days: [3, 5] }
+                }
+            },
+            {
+                id: "freight", name: "Freight", minWeightKg: 20,
+                rates: { domestic: { base: 40, perKg: 0.6, days: [4, 7] } }
+            }
+        ]
+    }
+];
+
+let shippingPerks = {
+    premium: { discountPercent: 20, freeServices: ["postal/standard"] }
+};
+
+// max(actual, dimensional) weight, rounded up to the next 0.5 kg
+// An item needs a weight or dimensions (missing sides count as 0); one with
+// neither is rejected rather than shipped as if it weighed nothing
+function billableWeight(items, dimDivisor) {
+    let actual = 0;
+    let dimensional = 0;
+    
+    for (let item of items) {
+        if (item.weightKg === undefined && item.dimensionsCm === undefined) {
+            throw new Error(`Cannot quote shipping for ${item.name || "an item"}: it has no weightKg or dimensionsCm`);
+        }
+        let { length = 0, width = 0, height = 0 } = item.dimensionsCm || {};
+        actual += (item.weightKg || 0) * item.quantity;
+        dimensional += (length * width * height) / dimDivisor * item.quantity;
+    }
+    
+    return Math.ceil(Math.max(actual, dimensional) * 2) / 2;
+}
+
+function addBusinessDays(date, days) {
+    let result = new Date(date);
+    while (days > 0) {
+        result.setDate(result.getDate() + 1);
+        if (result.getDay() !== 0 && result.getDay() !== 6) days--;
+    }
+    return result;
+}
+
+// All eligible options for shipping items to destination.zone, cheapest first
+// orderValue (Money) is what the free-shipping thresholds are compared against
+function quoteShipping(items, destination, options = {}) {
+    let { userType, orderValue, currency = "USD", rounding = "halfUp", carriers = shippingCarriers, perks = shippingPerks, now = new Date() } = options;
+    let perk = perks[userType] || { discountPercent: 0, freeServices: [] };
+    let quotes = [];
+    
+    for (let carrier of carriers) {
+        let weight = billableWeight(items, carrier.dimDivisor);
+        
+        for (let service of carrier.services) {
+            let rate = service.rates[destination.zone];
+            if (!rate) continue;
+            if (service.maxWeightKg !== undefined && weight > service.maxWeightKg) continue;
+            if (service.minWeightKg !== undefined && weight < service.minWeightKg) continue;
+            
+            let id = `${carrier.id}/${service.id}`;
+            let price = addMoney(money(rate.base, currency), multiplyMoney(money(rate.perKg, currency), weight, rounding));
+            let reason = null;
+            
+            if (rate.freeOver !== undefined && orderValue && orderValue.minor >= money(rate.freeOver, currency).minor) {
+                price = createMoney(0, currency);
+                reason = "freeThreshold";
+            } else if (perk.freeServices.includes(id)) {
+                price = createMoney(0, currency);
+                reason = "membership";
+            } else if (perk.discountPercent > 0) {
+                price = subtractMoney(price, percentOf(price, perk.discountPercent, rounding));
+                reason = "membershipDiscount";
+            }
+            
+            quotes.push({
+                id,
+                carrier: carrier.name,
+                service: service.name,
+                price,
+                billableWeightKg: weight,
+                deliveryWindow: {
+                    earliest: addBusinessDays(now, rate.days[0]),
+                    latest: addBusinessDays(now, rate.days[1])
+                },
+                reason
+            });
+        }
+    }
+    
+    return quotes.sort((a, b) => a.price.minor - b.price.minor || a.deliveryWindow.earliest - b.deliveryWindow.earliest);
+}
+
+module.exports = { shippingCarriers, shippingPerks, billableWeight, addBusinessDays, quoteShipping };
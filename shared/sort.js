@@ -0,0 +1,63 @@
+// Multi-key comparator builder shared by the sorting examples
+// Each sort key: { key, dir, collation, nulls, locale, collator }
+// - key: property name, dotted path ("address.city") or function
+// - dir: "asc" (default) or "desc"
+// - collation: "locale" (default) or "natural" ("item2" before "item10")
+// - nulls: "last" (default) or "first"; applies regardless of dir
+// - locale / collator: passed to Intl.Collator
+function compareBy(keys) {
+    let specs = keys.map(spec => {
+        if (typeof spec === "string" || typeof spec === "function") spec = { key: spec };
+        let collatorOptions = { ...spec.collator };
+        if (spec.collation === "natural") collatorOptions.numeric = true;
+        
+        return {
+            get: typeof spec.key === "function"
+                ? spec.key
+                : item => spec.key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), item),
+            direction: spec.dir === "desc" ? -1 : 1,
+            nullsFirst: spec.nulls === "first",
+            collator: new Intl.Collator(spec.locale, collatorOptions)
+        };
+    });
+    
+    let isMissing = value => value === null || value === undefined || (typeof value === "number" && isNaN(value));
+    
+    return (a, b) => {
+        for (let { get, direction, nullsFirst, collator } of specs) {
+            let valueA = get(a);
+            let valueB = get(b);
+            
+            // Missing values are placed before the direction is applied
+            let missingA = isMissing(valueA);
+            let missingB = isMissing(valueB);
+            if (missingA || missingB) {
+                if (missingA && missingB) continue;
+                return (missingA ? -1 : 1) * (nullsFirst ? 1 : -1);
+            }
+            
+            if (valueA instanceof Date) valueA = valueA.getTime();
+            if (valueB instanceof Date) valueB = valueB.getTime();
+            
+            let result;
+            if (typeof valueA === "string" && typeof valueB === "string") {
+                result = collator.compare(valueA, valueB);
+            } else if (typeof valueA === typeof valueB) {
+                result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+            } else {
+                // Mixed types: group by type name so the order is still consistent
+                result = collator.compare(typeof valueA, typeof valueB);
+            }
+            
+            if (result !== 0) return result * direction;
+        }
+        return 0;
+    };
+}
+
+// Sorted copy: the input array is never mutated
+function sortBy(list, keys) {
+    return [...list].sort(compareBy(keys));
+}
+
+module.exports = { compareBy, sortBy };
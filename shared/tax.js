@@ -0,0 +1,135 @@
+// Region-aware, line-by-line tax calculation on Money values
+let { toFraction, divideRounded, createMoney, addMoney, sumMoney, multiplyMoney } = require("./money");
+
+// Tax tables: one entry per country, optionally refined per state/province
+// {
+//   taxes: [{ id, label, rate, compound }],   compound taxes apply on top of earlier taxes
+//   categories: { groceries: "exempt", books: { vat: 0.07 } },   per-category exemptions or rates by tax id
+//   pricesIncludeTax: true                     prices already contain the tax (EU style)
+// }
+// "default" keeps the old flat 8% when no region is given
+let taxTables = {
+    default: { taxes: [{ id: "sales", label: "Sales tax", rate: 0.08 }] },
+    US: {
+        taxes: [],
+        regions: {
+            CA: {
+                taxes: [{ id: "state", label: "CA state tax", rate: 0.0725 }],
+                categories: { groceries: "exempt" }
+            },
+            NY: {
+                taxes: [{ id: "state", label: "NY state tax", rate: 0.04 }, { id: "city", label: "NYC tax", rate: 0.045 }],
+                categories: { groceries: "exempt", clothing: { state: 0, city: 0 } }
+            },
+            OR: { taxes: [] } // No sales tax
+        }
+    },
+    DE: {
+        taxes: [{ id: "vat", label: "MwSt.", rate: 0.19 }],
+        categories: { groceries: { vat: 0.07 }, books: { vat: 0.07 } },
+        pricesIncludeTax: true
+    },
+    CA: {
+        taxes: [{ id: "gst", label: "GST", rate: 0.05 }],
+        regions: {
+            // Historic PEI-style compound tax: PST is charged on price + GST
+            PE: { taxes: [{ id: "gst", label: "GST", rate: 0.05 }, { id: "pst", label: "PST", rate: 0.10, compound: true }] }
+        }
+    }
+};
+
+// Merge the country rules with the state/province rules
+function resolveTaxRules(region, tables = taxTables) {
+    if (!region) return { categories: {}, pricesIncludeTax: false, ...tables.default };
+    
+    let country = tables[region.country];
+    if (!country) throw new Error(`No tax table for country "${region.country}"`);
+    
+    let subRegion = (region.state && country.regions && country.regions[region.state]) || {};
+    return {
+        taxes: subRegion.taxes || country.taxes,
+        categories: { ...country.categories, ...subRegion.categories },
+        pricesIncludeTax: subRegion.pricesIncludeTax !== undefined ? subRegion.pricesIncludeTax : Boolean(country.pricesIncludeTax)
+    };
+}
+
+// Rates that apply to one category: [] when exempt
+function taxesForCategory(rules, category) {
+    let override = rules.categories[category];
+    if (override === "exempt") return [];
+    return rules.taxes
+        .map(tax => (override && override[tax.id] !== undefined ? { ...tax, rate: override[tax.id] } : tax))
+        .filter(tax => tax.rate > 0);
+}
+
+// Taxes on a net amount; compound taxes use net + the taxes before them
+function taxesOnNet(net, taxes, rounding) {
+    let base = net;
+    return taxes.map(tax => {
+        let amount = multiplyMoney(tax.compound ? base : net, tax.rate, rounding);
+        base = addMoney(base, amount);
+        return { id: tax.id, label: tax.label, rate: tax.rate, amount };
+    });
+}
+
+// gross / net as an exact fraction: 1 + rate for each tax, compound taxes
+// multiply instead (1.05 × 1.10 for GST + compound PST)
+function taxMultiplier(taxes) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (let tax of taxes) {
+        let rate = toFraction(tax.rate);
+        numerator = tax.compound
+            ? numerator * (rate.denominator + rate.numerator)
+            : numerator * rate.denominator + rate.numerator * denominator;
+        denominator *= rate.denominator;
+    }
+    return { numerator, denominator };
+}
+
+// Line-by-line tax for amounts that are already discounted
+// lines: [{ name, category, amount: Money }] — amount is net, or gross when prices include tax
+function calculateTax(lines, region, { currency = "USD", rounding = "halfUp", tables = taxTables } = {}) {
+    let rules = resolveTaxRules(region, tables);
+    
+    let taxLines = lines.map(line => {
+        let taxes = taxesForCategory(rules, line.category);
+        let net = line.amount;
+        
+        if (rules.pricesIncludeTax && taxes.length > 0) {
+            // Back out the tax: gross = net × multiplier, then fix the last cent on the last tax
+            let { numerator, denominator } = taxMultiplier(taxes);
+            net = createMoney(Number(divideRounded(BigInt(line.amount.minor) * denominator, numerator, rounding)), currency);
+        }
+        
+        let lineTaxes = taxesOnNet(net, taxes, rounding);
+        if (rules.pricesIncludeTax && lineTaxes.length > 0) {
+            let difference = line.amount.minor - net.minor - lineTaxes.reduce((sum, tax) => sum + tax.amount.minor, 0);
+            let last = lineTaxes[lineTaxes.length - 1];
+            last.amount = createMoney(last.amount.minor + difference, currency);
+        }
+        
+        let tax = sumMoney(lineTaxes.map(entry => entry.amount), currency);
+        return { name: line.name, category: line.category, net, taxes: lineTaxes, tax, gross: addMoney(net, tax) };
+    });
+    
+    // Totals per tax (e.g. state vs city) for the receipt
+    let byTax = [];
+    for (let line of taxLines) {
+        for (let entry of line.taxes) {
+            let existing = byTax.find(item => item.id === entry.id && item.rate === entry.rate);
+            if (existing) existing.amount = addMoney(existing.amount, entry.amount);
+            else byTax.push({ id: entry.id, label: entry.label, rate: entry.rate, amount: entry.amount });
+        }
+    }
+    
+    return {
+        pricesIncludeTax: rules.pricesIncludeTax,
+        lines: taxLines,
+        byTax,
+        net: sumMoney(taxLines.map(line => line.net), currency),
+        tax: sumMoney(taxLines.map(line => line.tax), currency)
+    };
+}
+
+module.exports = { taxTables, resolveTaxRules, taxesForCategory, calculateTax };
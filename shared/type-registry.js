@@ -0,0 +1,101 @@
+// Type registry shared by the type-conversion lessons
+// Each type knows how to convert a value (`from`) and, optionally,
+// how to check the result (`validate`). convert() throws instead of
+// passing a value it could not convert through.
+let typeRegistry = new Map();
+
+function registerType(name, { from, validate }) {
+    if (typeof from !== "function") {
+        throw new Error(`Type "${name}" needs a from() function`);
+    }
+    typeRegistry.set(name.toLowerCase(), { name, from, validate });
+}
+
+// enum is a reserved word, so the enum type factory is enumOf(...values)
+function enumOf(...values) {
+    return {
+        name: `enum(${values.join(", ")})`,
+        from: value => (typeof value === "string" ? value.trim() : value),
+        validate: value => values.includes(value)
+    };
+}
+
+function describeValue(value) {
+    if (typeof value === "string") return `"${value}"`;
+    if (Array.isArray(value)) return `[${value.map(describeValue).join(", ")}]`;
+    return String(value);
+}
+
+// Numbers and integers only come from numbers or numeric strings:
+// Number(null), Number([]) and Number(true) would give 0, 0 and 1
+function toNumeric(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim() !== "") return Number(value.trim());
+    return NaN;
+}
+
+let booleanWords = { true: true, false: false, yes: true, no: false, 1: true, 0: false, on: true, off: false };
+
+// Built-in types
+registerType("string", { from: value => String(value) });
+registerType("number", { from: toNumeric, validate: Number.isFinite });
+registerType("integer", { from: toNumeric, validate: Number.isInteger });
+registerType("boolean", {
+    from: value => (typeof value === "boolean" ? value : booleanWords[String(value).trim().toLowerCase()]),
+    validate: value => typeof value === "boolean"
+});
+registerType("array", {
+    from: value => {
+        if (Array.isArray(value)) return value;
+        if (typeof value === "string") return value.split(",").map(item => item.trim());
+        return [value];
+    }
+});
+registerType("date", {
+    from: value => {
+        if (value instanceof Date) return new Date(value.getTime());
+        // Timestamps often arrive as strings: "1640995200000"
+        if (typeof value === "string" && /^-?\d+$/.test(value.trim())) return new Date(Number(value));
+        if (typeof value === "string" || typeof value === "number") return new Date(value);
+        return new Date(NaN);
+    },
+    validate: date => !isNaN(date.getTime())
+});
+registerType("bigint", {
+    from: value => BigInt(typeof value === "string" ? value.trim() : value) // Throws on "1.5" / "abc"
+});
+registerType("url", {
+    from: value => new URL(String(value)) // Throws on invalid URLs
+});
+registerType("json", {
+    from: value => (typeof value === "string" ? JSON.parse(value) : value)
+});
+
+// targetType is a registered name ("number") or a type definition (enumOf(...))
+function convert(value, targetType) {
+    let type = typeof targetType === "string" ? typeRegistry.get(targetType.toLowerCase()) : targetType;
+
+    if (!type) {
+        throw new Error(`Unknown target type "${targetType}"`);
+    }
+
+    // Missing values are never converted: String(null) or new Date(null) would hide them
+    if (value === null || value === undefined || value === "") {
+        throw new Error(`Cannot convert ${describeValue(value)} to ${type.name}: value is empty`);
+    }
+
+    let result;
+    try {
+        result = type.from(value);
+    } catch (e) {
+        throw new Error(`Cannot convert ${describeValue(value)} to ${type.name}: ${e.message}`);
+    }
+
+    if (type.validate && !type.validate(result)) {
+        throw new Error(`Cannot convert ${describeValue(value)} to ${type.name}`);
+    }
+
+    return result;
+}
+
+module.exports = { registerType, enumOf, convert, describeValue };
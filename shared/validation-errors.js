@@ -0,0 +1,46 @@
+// Validation errors used by every validator in the lessons
+// An error is { path, code, message, params }: the UI highlights fields by
+// `path` and translates by `code` + `params` instead of matching message text.
+// A validator returns createResult(errors, data): { isValid, errors, data }
+let errorMessages = {
+    required: "{path} is required",
+    type: "{path} must be a {expected}",
+    min: "{path} must be a number and at least {min}",
+    positive: "{path} must be a positive number",
+    integer: "{path} must be a whole number of at least {min}",
+    range: "{path} must be between {min} and {max}",
+    minLength: "{path} must be at least {min} characters",
+    email: "{path} must be a valid email",
+    phone: "{path} must be a {digits}-digit phone number",
+    date: "{path} must be a valid date",
+    unique: "{path} is already registered",
+    match: "{path} must match {field}",
+    after: "{path} must be after {field}",
+    accepted: "{path} must be accepted",
+    derived: "{path} does not match {source}",
+    invalid: "{path} is invalid"
+};
+
+// Fill a message template with the error's path and params.
+// `messages` may be a partial translation; missing codes fall back to "invalid"
+function formatError(error, messages = errorMessages) {
+    let template = messages[error.code] || messages.invalid || errorMessages.invalid;
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        if (key === "path") return error.path;
+        return error.params[key] !== undefined ? error.params[key] : match;
+    });
+}
+
+// `message` overrides the template (e.g. a custom validator's own text)
+function createError(path, code, params = {}, message) {
+    let error = { path, code, message: "", params };
+    error.message = message || formatError(error);
+    return error;
+}
+
+// `data` is the validated (and possibly converted) input
+function createResult(errors, data) {
+    return { isValid: errors.length === 0, errors, data };
+}
+
+module.exports = { errorMessages, formatError, createError, createResult };